@@ -0,0 +1,184 @@
+// アクティビティの name / details / state に書けるプレースホルダー
+//   {time} {time:HH:mm}    現在時刻 (書式は YYYY YY MM M DD D HH H hh h mm ss A)
+//   {date} {date:MM/DD}    現在の日付
+//   {uptime}               セッション開始からの経過時間 (例: 1d 2h 5m)
+//   {counter} {counter:x}  APIで増やせるカウンター
+//   {var:build}            APIで送られた値
+// 知らないプレースホルダーはそのまま残す
+
+const TEMPLATE_FIELDS = ['name', 'details', 'state'];
+const MAX_RENDERED_LENGTH = 128;
+const PLACEHOLDER = /\{(\w+)(?::([^{}]*))?\}/g;
+const FORMAT_TOKENS = /YYYY|YY|MM|M|DD|D|HH|H|hh|h|mm|ss|A/g;
+const DEFAULT_FORMATS = { time: 'HH:mm', date: 'YYYY-MM-DD' };
+const DEFAULT_COUNTER = 'default';
+
+const MAX_VARS = 50;
+const MAX_COUNTERS = 10;
+const MAX_VAR_LENGTH = 128;
+// counters / vars は普通のオブジェクトなので、__proto__ は名前に使えない
+const VAR_NAME = /^(?!__proto__$)[\w-]{1,32}$/;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// timeZone を省略した場合はサーバーのローカル時刻
+function dateParts(date, timeZone) {
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  });
+
+  for (const { type, value } of formatter.formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+function formatDateTime(date, format, timeZone) {
+  const { year, month, day, hour, minute, second } = dateParts(date, timeZone);
+  const hour12 = hour % 12 || 12;
+
+  const values = {
+    YYYY: String(year),
+    YY: pad(year % 100),
+    MM: pad(month),
+    M: String(month),
+    DD: pad(day),
+    D: String(day),
+    HH: pad(hour),
+    H: String(hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    mm: pad(minute),
+    ss: pad(second),
+    A: hour < 12 ? 'AM' : 'PM'
+  };
+
+  return format.replace(FORMAT_TOKENS, token => values[token]);
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.max(Math.floor(ms / 60000), 0);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+
+function hasPlaceholders(text) {
+  if (typeof text !== 'string') return false;
+  PLACEHOLDER.lastIndex = 0;
+  return PLACEHOLDER.test(text);
+}
+
+function isTemplated(activity) {
+  return Boolean(activity) && TEMPLATE_FIELDS.some(field => hasPlaceholders(activity[field]));
+}
+
+// context: { now, startedAt, timeZone, counters, vars }
+function renderText(text, context = {}) {
+  const now = context.now !== undefined ? new Date(context.now) : new Date();
+  const counters = context.counters || {};
+  const vars = context.vars || {};
+
+  return text.replace(PLACEHOLDER, (match, name, argument) => {
+    switch (name) {
+      case 'time':
+      case 'date':
+        return formatDateTime(now, argument || DEFAULT_FORMATS[name], context.timeZone);
+      case 'uptime':
+        return formatDuration(now.getTime() - (context.startedAt || now.getTime()));
+      case 'counter': {
+        // toString などObjectのプロパティを拾わないよう、自分のプロパティだけを見る
+        const counterName = argument || DEFAULT_COUNTER;
+        return String(Object.hasOwn(counters, counterName) ? counters[counterName] : 0);
+      }
+      case 'var':
+        return Object.hasOwn(vars, argument) ? String(vars[argument]) : '';
+      default:
+        return match;
+    }
+  });
+}
+
+// 展開後に長さの上限を超えた場合は切り詰める
+function renderActivity(activity, context) {
+  if (!isTemplated(activity)) {
+    return activity;
+  }
+
+  const rendered = { ...activity };
+  for (const field of TEMPLATE_FIELDS) {
+    if (hasPlaceholders(activity[field])) {
+      rendered[field] = Array.from(renderText(activity[field], context))
+        .slice(0, MAX_RENDERED_LENGTH)
+        .join('');
+    }
+  }
+  return rendered;
+}
+
+// null を指定した変数は削除する
+function validateVars(vars) {
+  const errors = [];
+
+  if (!vars || typeof vars !== 'object' || Array.isArray(vars)) {
+    return ['vars must be an object'];
+  }
+
+  for (const [name, value] of Object.entries(vars)) {
+    if (!VAR_NAME.test(name)) {
+      errors.push(`Invalid variable name: ${name}`);
+    } else if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      errors.push(`${name} must be a string, number, boolean or null`);
+    } else if (value !== null && String(value).length > MAX_VAR_LENGTH) {
+      errors.push(`${name} must be at most ${MAX_VAR_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+function mergeVars(current, updates) {
+  const merged = { ...current };
+
+  for (const [name, value] of Object.entries(updates)) {
+    if (value === null) {
+      delete merged[name];
+    } else {
+      merged[name] = String(value);
+    }
+  }
+
+  if (Object.keys(merged).length > MAX_VARS) {
+    throw new Error(`At most ${MAX_VARS} variables are allowed`);
+  }
+  return merged;
+}
+
+module.exports = {
+  MAX_COUNTERS,
+  VAR_NAME,
+  formatDateTime,
+  formatDuration,
+  hasPlaceholders,
+  isTemplated,
+  mergeVars,
+  renderActivity,
+  renderText,
+  validateVars
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const { parseSpotifyUrl } = require('./spotify-url');
+
+// フォームから受け取ったアクティビティ情報の検証と、Discordのactivityオブジェクトへの変換
+
+// Discordが受け付ける各フィールドの長さ制限
+const LIMITS = {
+  name: 128,
+  details: 128,
+  state: 128,
+  imageText: 128,
+  smallImageText: 128,
+  url: 512,
+  imageUrl: 512,
+  buttonLabel: 32,
+  buttonUrl: 512,
+  buttons: 2,
+  emoji: 64,
+  activities: 10
+};
+
+const CUSTOM_STATUS_TYPE = 4;
+// 0: Playing, 1: Streaming, 2: Listening, 3: Watching, 4: Custom Status, 5: Competing
+const MAX_ACTIVITY_TYPE = 5;
+
+// プレゼンスで選べるオンライン状態
+const ONLINE_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+
+// i.scdn.coの画像URLか spotify:<画像id> の形式のときだけ画像idを返す
+function extractSpotifyImageId(url) {
+  const parsed = parseSpotifyUrl(url);
+  return parsed && parsed.kind === 'image' ? parsed.id : null;
+}
+
+function spotifyAsset(url) {
+  const imageId = extractSpotifyImageId(url);
+  return imageId ? `spotify:${imageId}` : null;
+}
+
+// "🎧" のような絵文字か、"<:name:id>" / "<a:name:id>" 形式のカスタム絵文字
+function parseEmoji(value) {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^<(a?):(\w+):(\d+)>$/);
+  if (match) {
+    return { name: match[2], id: match[3], animated: match[1] === 'a' };
+  }
+
+  return { name: String(value).trim() };
+}
+
+// 省略した場合は Playing として扱う ("2" のような文字列も受け付ける)
+function activityType(activityData) {
+  return activityData.type === undefined || activityData.type === null ? 0 : parseInt(activityData.type);
+}
+
+function isValidActivityType(value) {
+  return value === undefined || value === null || new RegExp(`^[0-${MAX_ACTIVITY_TYPE}]$`).test(String(value));
+}
+
+function isCustomStatus(activityData) {
+  return activityType(activityData) === CUSTOM_STATUS_TYPE;
+}
+
+function generateActivityId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+// 画像ソース (lib/image-sources) のどれかで解決できる形式か
+function isImageReference(value) {
+  if (extractSpotifyImageId(value) || String(value).startsWith('mp:')) {
+    return true;
+  }
+  return isHttpUrl(value) && new URL(value).protocol === 'https:';
+}
+
+function isPositiveInteger(value) {
+  return Number.isInteger(Number(value)) && Number(value) > 0;
+}
+
+// エラーメッセージの配列を返す (空なら問題なし)
+//   allowCustomStatus: false にするとCustom Status (type 4) を受け付けない
+//   supportsImage: 実際に設定されている画像ソースで解決できるか (ImageResolver#supports)
+function validateActivity(activityData, { allowCustomStatus = true, supportsImage = isImageReference } = {}) {
+  const errors = [];
+
+  if (!activityData || typeof activityData !== 'object') {
+    return ['Activity must be an object'];
+  }
+
+  if (!isValidActivityType(activityData.type)) {
+    return [`type must be an integer from 0 to ${MAX_ACTIVITY_TYPE}`];
+  }
+  if (!allowCustomStatus && isCustomStatus(activityData)) {
+    errors.push(`type ${CUSTOM_STATUS_TYPE} (Custom Status) is not allowed here`);
+  }
+
+  for (const field of ['name', 'details', 'state', 'imageText', 'smallImageText', 'emoji']) {
+    const value = activityData[field];
+    if (value === undefined || value === null) continue;
+
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.length > LIMITS[field]) {
+      errors.push(`${field} must be at most ${LIMITS[field]} characters`);
+    }
+  }
+
+  if (isCustomStatus(activityData) && !activityData.state && !activityData.emoji) {
+    errors.push('Custom Status requires state or emoji');
+  }
+
+  if (activityData.expiresAt && !isPositiveInteger(activityData.expiresAt)) {
+    errors.push('expiresAt must be a Unix time in milliseconds');
+  }
+
+  for (const field of ['imageUrl', 'smallImageUrl']) {
+    const value = activityData[field];
+    if (!value) continue;
+
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.length > LIMITS.imageUrl) {
+      errors.push(`${field} must be at most ${LIMITS.imageUrl} characters`);
+    } else if (!isImageReference(value)) {
+      errors.push(`${field} must be a Spotify image, an mp: asset or an https URL`);
+    } else if (!supportsImage(value)) {
+      errors.push(`${field} is an external image, which requires DISCORD_APPLICATION_ID on the server`);
+    }
+  }
+
+  if (activityData.url) {
+    if (typeof activityData.url !== 'string') {
+      errors.push('url must be a string');
+    } else if (activityData.url.length > LIMITS.url) {
+      errors.push(`url must be at most ${LIMITS.url} characters`);
+    } else if (!isHttpUrl(activityData.url)) {
+      errors.push('url must be an http(s) URL');
+    }
+  }
+
+  const { startTimestamp, endTimestamp } = activityData;
+  if (startTimestamp && !isPositiveInteger(startTimestamp)) {
+    errors.push('startTimestamp must be a Unix time in milliseconds');
+  }
+  if (endTimestamp && !isPositiveInteger(endTimestamp)) {
+    errors.push('endTimestamp must be a Unix time in milliseconds');
+  }
+  if (startTimestamp && endTimestamp && Number(endTimestamp) <= Number(startTimestamp)) {
+    errors.push('endTimestamp must be after startTimestamp');
+  }
+
+  const { partySize, partyMax } = activityData;
+  if (partySize || partyMax) {
+    if (!isPositiveInteger(partySize) || !isPositiveInteger(partyMax)) {
+      errors.push('partySize and partyMax must both be positive integers');
+    } else if (Number(partySize) > Number(partyMax)) {
+      errors.push('partySize must not exceed partyMax');
+    }
+  }
+
+  if (activityData.buttons !== undefined) {
+    if (!Array.isArray(activityData.buttons)) {
+      errors.push('buttons must be an array');
+    } else {
+      if (activityData.buttons.length > LIMITS.buttons) {
+        errors.push(`At most ${LIMITS.buttons} buttons are allowed`);
+      }
+      activityData.buttons.forEach((button, index) => {
+        if (!button || typeof button.label !== 'string' || !button.label || button.label.length > LIMITS.buttonLabel) {
+          errors.push(`buttons[${index}].label must be 1-${LIMITS.buttonLabel} characters`);
+        }
+        if (!button || typeof button.url !== 'string' || !isHttpUrl(button.url) || button.url.length > LIMITS.buttonUrl) {
+          errors.push(`buttons[${index}].url must be an http(s) URL of at most ${LIMITS.buttonUrl} characters`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// カスタムステータスはnameの代わりにstateと絵文字だけを表示する
+function buildCustomStatus(activityData) {
+  const activity = {
+    name: 'Custom Status',
+    type: CUSTOM_STATUS_TYPE
+  };
+
+  if (activityData.state) {
+    activity.state = activityData.state;
+  }
+
+  const emoji = parseEmoji(activityData.emoji);
+  if (emoji) {
+    activity.emoji = emoji;
+  }
+
+  return activity;
+}
+
+// nameが空ならアクティビティなし (null) を返す
+function buildActivity(activityData) {
+  if (activityData && isCustomStatus(activityData)) {
+    return activityData.state || activityData.emoji ? buildCustomStatus(activityData) : null;
+  }
+
+  if (!activityData || !activityData.name) {
+    return null;
+  }
+
+  const activity = {
+    name: activityData.name,
+    type: activityType(activityData),
+    details: activityData.details,
+    state: activityData.state,
+    assets: {}
+  };
+
+  // imageAsset / smallImageAsset は画像ソースで解決済みのアセットキー
+  if (activityData.imageUrl) {
+    const largeImage = activityData.imageAsset || spotifyAsset(activityData.imageUrl);
+
+    if (largeImage) {
+      activity.assets.large_image = largeImage;
+    }
+    if (activityData.imageText) {
+      activity.assets.large_text = activityData.imageText;
+    }
+  }
+
+  if (activityData.smallImageUrl) {
+    const smallImage = activityData.smallImageAsset || spotifyAsset(activityData.smallImageUrl);
+
+    if (smallImage) {
+      activity.assets.small_image = smallImage;
+    }
+    if (activityData.smallImageText) {
+      activity.assets.small_text = activityData.smallImageText;
+    }
+  }
+
+  if (activityData.startTimestamp || activityData.endTimestamp) {
+    activity.timestamps = {};
+    if (activityData.startTimestamp) {
+      activity.timestamps.start = Number(activityData.startTimestamp);
+    }
+    if (activityData.endTimestamp) {
+      activity.timestamps.end = Number(activityData.endTimestamp);
+    }
+  }
+
+  if (activityData.partySize && activityData.partyMax) {
+    activity.party = {
+      size: [Number(activityData.partySize), Number(activityData.partyMax)]
+    };
+  }
+
+  // Streaming (type 1) はurlがないと配信中として表示されない
+  if (activityData.url) {
+    activity.url = activityData.url;
+  }
+
+  if (Array.isArray(activityData.buttons) && activityData.buttons.length > 0) {
+    activity.buttons = activityData.buttons.map(button => button.label);
+    activity.metadata = {
+      button_urls: activityData.buttons.map(button => button.url)
+    };
+  }
+
+  return activity;
+}
+
+module.exports = {
+  LIMITS,
+  ONLINE_STATUSES,
+  extractSpotifyImageId,
+  generateActivityId,
+  isCustomStatus,
+  parseEmoji,
+  validateActivity,
+  buildActivity
+};
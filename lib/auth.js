@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+// セッションごとのシークレットと管理者キーの検証
+
+function generateSessionId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function generateSessionSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// シークレットはハッシュだけを保持する
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function verifySecret(secret, secretHash) {
+  if (!secret || !secretHash) return false;
+  return safeEqual(hashSecret(secret), secretHash);
+}
+
+// Authorization: Bearer <secret> からシークレットを取り出す
+function readBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+module.exports = {
+  generateSessionId,
+  generateSessionSecret,
+  hashSecret,
+  safeEqual,
+  verifySecret,
+  readBearerToken
+};
@@ -0,0 +1,138 @@
+// 5フィールド (分 時 日 月 曜日) のcron式の解析と次回実行時刻の計算
+// 対応する書式: *, 数値, 範囲 (1-5), リスト (1,3,5), ステップ (*/10, 9-17/2)
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0と7はどちらも日曜
+];
+
+function parseField(expression, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    let [start, end] = [min, max];
+    if (match[1] !== '*') {
+      [start, end] = match[1].split('-').map(Number);
+      if (end === undefined) {
+        end = match[2] ? max : start;
+      }
+    }
+
+    const step = match[2] ? Number(match[2]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields (minute hour day month weekday)');
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // 日と曜日が両方指定されている場合はどちらかに一致すればよい (標準のcronと同じ)
+    restrictsDayOfMonth: parts[2] !== '*',
+    restrictsDayOfWeek: parts[4] !== '*',
+    // 分と時が * で始まらない「決まった時刻」の式 (夏時間の切り替えの扱いが変わる)
+    fixedTime: !parts[0].startsWith('*') && !parts[1].startsWith('*')
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+
+  if (cron.restrictsDayOfMonth && cron.restrictsDayOfWeek) {
+    return dom || dow;
+  }
+  return dom && dow;
+}
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// ローカルの時計の表示をUTCとして読んだ値 (夏時間の切り替えで飛んだ・戻った時刻の判定用)
+function wallClock(time) {
+  return time - new Date(time).getTimezoneOffset() * MINUTE;
+}
+
+// from から to へ進めたときに時計が飛ばした時刻 (夏時間の開始) に、一致する時刻があったか
+function skippedMatch(cron, from, to) {
+  const skippedFrom = wallClock(from) + (to - from);
+  for (let wall = skippedFrom; wall < wallClock(to); wall += MINUTE) {
+    const date = new Date(wall);
+    if (cron.hour.has(date.getUTCHours()) && cron.minute.has(date.getUTCMinutes())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// from より後で最初に一致する時刻 (ms)。1年以内に見つからなければ null
+// 夏時間の切り替えは標準のcronと同じように扱う
+//   時計が進んだとき: 飛ばされた時刻に予定されていた決まった時刻の式は、切り替え直後に実行する
+//   時計が戻ったとき: 決まった時刻の式は2回目の同じ時刻には実行しない (*/10 のような式はどちらも実行する)
+function nextRun(expression, from = Date.now()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const limit = from + 366 * 24 * HOUR;
+  let time = Math.floor(from / MINUTE) * MINUTE + MINUTE;
+
+  while (time <= limit) {
+    const date = new Date(time);
+    let next;
+
+    // 月・日の切り替えはローカルの0時、時・分は経過時間で進める
+    if (!cron.month.has(date.getMonth() + 1)) {
+      next = new Date(date.getFullYear(), date.getMonth() + 1, 1).getTime();
+    } else if (!matchesDay(cron, date)) {
+      next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+    } else if (!cron.hour.has(date.getHours())) {
+      next = time + (60 - date.getMinutes()) * MINUTE;
+    } else if (!cron.minute.has(date.getMinutes())) {
+      next = time + MINUTE;
+    } else if (cron.fixedTime && wallClock(time) - wallClock(time - HOUR) < HOUR) {
+      // 時計が戻った後の、1時間以内に一度表示された時刻
+      next = time + MINUTE;
+    } else {
+      return time;
+    }
+
+    if (cron.fixedTime && skippedMatch(cron, time, next)) {
+      return next;
+    }
+    time = next;
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
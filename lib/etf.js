@@ -0,0 +1,306 @@
+// Discord Gateway の encoding=etf 用の Erlang External Term Format エンコーダー/デコーダー
+// Gatewayで使われる型だけに対応している
+//   デコード: アトムは文字列 (nil → null, true/false → boolean)、バイナリは文字列、
+//             Number.MAX_SAFE_INTEGER を超える整数 (スノーフレーク) は文字列
+//   エンコード: null → nil、文字列 → バイナリ、オブジェクト → マップ (キーはバイナリ)
+
+const VERSION = 131;
+const TAGS = {
+  NEW_FLOAT: 70,
+  SMALL_INTEGER: 97,
+  INTEGER: 98,
+  FLOAT: 99,
+  ATOM: 100,
+  SMALL_TUPLE: 104,
+  LARGE_TUPLE: 105,
+  NIL: 106,
+  STRING: 107,
+  LIST: 108,
+  BINARY: 109,
+  SMALL_BIG: 110,
+  LARGE_BIG: 111,
+  SMALL_ATOM: 115,
+  MAP: 116,
+  ATOM_UTF8: 118,
+  SMALL_ATOM_UTF8: 119
+};
+
+class Decoder {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  read(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('ETF payload is truncated');
+    }
+    const slice = this.buffer.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return slice;
+  }
+
+  skipBytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new Error('ETF payload is truncated');
+    }
+    this.offset += length;
+  }
+
+  uint8() {
+    return this.read(1).readUInt8(0);
+  }
+
+  uint16() {
+    return this.read(2).readUInt16BE(0);
+  }
+
+  uint32() {
+    return this.read(4).readUInt32BE(0);
+  }
+
+  atom(length) {
+    const name = this.read(length).toString('utf8');
+    if (name === 'nil' || name === 'null') return null;
+    if (name === 'true') return true;
+    if (name === 'false') return false;
+    return name;
+  }
+
+  big(digits) {
+    const sign = this.uint8();
+    const bytes = this.read(digits);
+    let value = 0n;
+    for (let i = digits - 1; i >= 0; i--) {
+      value = (value << 8n) | BigInt(bytes[i]);
+    }
+    if (sign) value = -value;
+
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER)
+      ? Number(value)
+      : value.toString();
+  }
+
+  list(length) {
+    const items = [];
+    for (let i = 0; i < length; i++) {
+      items.push(this.term());
+    }
+    return items;
+  }
+
+  term() {
+    const tag = this.uint8();
+
+    switch (tag) {
+      case TAGS.SMALL_INTEGER:
+        return this.uint8();
+      case TAGS.INTEGER:
+        return this.read(4).readInt32BE(0);
+      case TAGS.NEW_FLOAT:
+        return this.read(8).readDoubleBE(0);
+      case TAGS.FLOAT:
+        return parseFloat(this.read(31).toString('latin1'));
+      case TAGS.ATOM:
+      case TAGS.ATOM_UTF8:
+        return this.atom(this.uint16());
+      case TAGS.SMALL_ATOM:
+      case TAGS.SMALL_ATOM_UTF8:
+        return this.atom(this.uint8());
+      case TAGS.SMALL_TUPLE:
+        return this.list(this.uint8());
+      case TAGS.LARGE_TUPLE:
+        return this.list(this.uint32());
+      case TAGS.NIL:
+        return [];
+      case TAGS.STRING:
+        // 0〜255の数値のリストとして送られてくる
+        return Array.from(this.read(this.uint16()));
+      case TAGS.LIST: {
+        const items = this.list(this.uint32());
+        this.term(); // 末尾 (通常はNIL)
+        return items;
+      }
+      case TAGS.BINARY:
+        return this.read(this.uint32()).toString('utf8');
+      case TAGS.SMALL_BIG:
+        return this.big(this.uint8());
+      case TAGS.LARGE_BIG:
+        return this.big(this.uint32());
+      case TAGS.MAP: {
+        const size = this.uint32();
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const key = this.term();
+          map[key] = this.term();
+        }
+        return map;
+      }
+      default:
+        throw new Error(`Unsupported ETF tag: ${tag}`);
+    }
+  }
+
+  // 値を作らずに読み飛ばす
+  skip() {
+    const tag = this.uint8();
+
+    switch (tag) {
+      case TAGS.SMALL_INTEGER:
+        return this.skipBytes(1);
+      case TAGS.INTEGER:
+        return this.skipBytes(4);
+      case TAGS.NEW_FLOAT:
+        return this.skipBytes(8);
+      case TAGS.FLOAT:
+        return this.skipBytes(31);
+      case TAGS.ATOM:
+      case TAGS.ATOM_UTF8:
+      case TAGS.STRING:
+        return this.skipBytes(this.uint16());
+      case TAGS.SMALL_ATOM:
+      case TAGS.SMALL_ATOM_UTF8:
+        return this.skipBytes(this.uint8());
+      case TAGS.BINARY:
+        return this.skipBytes(this.uint32());
+      case TAGS.SMALL_BIG:
+        return this.skipBytes(this.uint8() + 1);
+      case TAGS.LARGE_BIG:
+        return this.skipBytes(this.uint32() + 1);
+      case TAGS.NIL:
+        return undefined;
+      case TAGS.SMALL_TUPLE:
+        return this.skipTerms(this.uint8());
+      case TAGS.LARGE_TUPLE:
+        return this.skipTerms(this.uint32());
+      case TAGS.LIST:
+        return this.skipTerms(this.uint32() + 1);
+      case TAGS.MAP:
+        return this.skipTerms(this.uint32() * 2);
+      default:
+        throw new Error(`Unsupported ETF tag: ${tag}`);
+    }
+  }
+
+  skipTerms(count) {
+    for (let i = 0; i < count; i++) {
+      this.skip();
+    }
+  }
+}
+
+function createDecoder(buffer) {
+  const decoder = new Decoder(buffer);
+  if (decoder.uint8() !== VERSION) {
+    throw new Error('Invalid ETF version');
+  }
+  return decoder;
+}
+
+function decode(buffer) {
+  return createDecoder(buffer).term();
+}
+
+// トップレベルのマップから keys の値だけを取り出す (それ以外の値は読み飛ばす)
+function peek(buffer, keys) {
+  const decoder = createDecoder(buffer);
+  const found = {};
+
+  if (decoder.uint8() !== TAGS.MAP) {
+    return found;
+  }
+
+  const size = decoder.uint32();
+  let remaining = keys.length;
+  for (let i = 0; i < size && remaining > 0; i++) {
+    const key = decoder.term();
+    if (keys.includes(key)) {
+      found[key] = decoder.term();
+      remaining--;
+    } else {
+      decoder.skip();
+    }
+  }
+  return found;
+}
+
+function encodeAtom(name) {
+  const bytes = Buffer.from(name, 'utf8');
+  return Buffer.concat([Buffer.from([TAGS.SMALL_ATOM_UTF8, bytes.length]), bytes]);
+}
+
+function encodeInteger(value) {
+  if (value >= 0 && value <= 255) {
+    return Buffer.from([TAGS.SMALL_INTEGER, value]);
+  }
+  if (value >= -(2 ** 31) && value < 2 ** 31) {
+    const buffer = Buffer.alloc(5);
+    buffer.writeUInt8(TAGS.INTEGER, 0);
+    buffer.writeInt32BE(value, 1);
+    return buffer;
+  }
+  return encodeBig(BigInt(value));
+}
+
+function encodeBig(value) {
+  const sign = value < 0n ? 1 : 0;
+  let magnitude = sign ? -value : value;
+  const bytes = [];
+  while (magnitude > 0n) {
+    bytes.push(Number(magnitude & 0xffn));
+    magnitude >>= 8n;
+  }
+  return Buffer.from([TAGS.SMALL_BIG, bytes.length, sign, ...bytes]);
+}
+
+function encodeTerm(value) {
+  if (value === null || value === undefined) {
+    return encodeAtom('nil');
+  }
+  if (typeof value === 'boolean') {
+    return encodeAtom(String(value));
+  }
+  if (typeof value === 'number') {
+    if (Number.isInteger(value)) {
+      return encodeInteger(value);
+    }
+    const buffer = Buffer.alloc(9);
+    buffer.writeUInt8(TAGS.NEW_FLOAT, 0);
+    buffer.writeDoubleBE(value, 1);
+    return buffer;
+  }
+  if (typeof value === 'bigint') {
+    return encodeBig(value);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    const header = Buffer.alloc(5);
+    header.writeUInt8(TAGS.BINARY, 0);
+    header.writeUInt32BE(bytes.length, 1);
+    return Buffer.concat([header, bytes]);
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return Buffer.from([TAGS.NIL]);
+    }
+    const header = Buffer.alloc(5);
+    header.writeUInt8(TAGS.LIST, 0);
+    header.writeUInt32BE(value.length, 1);
+    return Buffer.concat([header, ...value.map(encodeTerm), Buffer.from([TAGS.NIL])]);
+  }
+  if (typeof value === 'object') {
+    // JSON.stringify と同じく undefined の値は送らない
+    const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+    const header = Buffer.alloc(5);
+    header.writeUInt8(TAGS.MAP, 0);
+    header.writeUInt32BE(entries.length, 1);
+    return Buffer.concat([header, ...entries.flatMap(([key, entry]) => [encodeTerm(key), encodeTerm(entry)])]);
+  }
+  throw new Error(`Cannot encode ${typeof value} as ETF`);
+}
+
+function encode(value) {
+  return Buffer.concat([Buffer.from([VERSION]), encodeTerm(value)]);
+}
+
+module.exports = { decode, encode, peek };
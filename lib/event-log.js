@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+// セッションごとのイベントログ (接続・READY・切断コード・再接続・プレゼンス送信・エラーなど)
+// 直近 maxEvents 件だけをメモリに残し、filePath を指定した場合はJSON Linesで追記する
+//   { seq, at, type, ...data }
+
+const DEFAULT_MAX_EVENTS = 500;
+const MAX_PAGE_SIZE = 200;
+
+class EventLog {
+  constructor({ maxEvents = DEFAULT_MAX_EVENTS, filePath = null } = {}) {
+    this.maxEvents = maxEvents;
+    this.filePath = filePath;
+    this.events = [];
+    this.nextSeq = 1;
+    // ファイルに書いた行数 (maxEvents の2倍を超えたら書き直して小さくする)
+    this.fileLines = 0;
+
+    if (filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      this.load();
+    }
+  }
+
+  load() {
+    let lines;
+    try {
+      lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load event log (${this.filePath}):`, error.message);
+      }
+      return;
+    }
+
+    for (const line of lines) {
+      try {
+        this.push(JSON.parse(line));
+      } catch (error) {
+        // 書き込み途中で止まった行は読み飛ばす
+      }
+    }
+    this.fileLines = lines.length;
+    if (this.events.length > 0) {
+      this.nextSeq = this.events[this.events.length - 1].seq + 1;
+    }
+  }
+
+  push(event) {
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+  }
+
+  record(type, data = {}) {
+    const event = { seq: this.nextSeq++, at: Date.now(), type, ...data };
+    this.push(event);
+
+    if (this.filePath) {
+      try {
+        this.append(event);
+      } catch (error) {
+        console.error(`Failed to write event log (${this.filePath}):`, error.message);
+      }
+    }
+    return event;
+  }
+
+  append(event) {
+    if (this.fileLines >= this.maxEvents * 2) {
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, this.events.map(entry => `${JSON.stringify(entry)}\n`).join(''), { mode: 0o600 });
+      fs.renameSync(tmpPath, this.filePath);
+      this.fileLines = this.events.length;
+      return;
+    }
+
+    fs.appendFileSync(this.filePath, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+    this.fileLines++;
+  }
+
+  // 古い順で返す。before を指定するとそれより前、after を指定するとそれより後のイベント
+  page({ before, after, limit = 50 } = {}) {
+    const size = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE);
+    let events = this.events;
+
+    if (after !== undefined) {
+      events = events.filter(event => event.seq > after).slice(0, size);
+    } else {
+      if (before !== undefined) {
+        events = events.filter(event => event.seq < before);
+      }
+      events = events.slice(-size);
+    }
+
+    const first = events[0];
+    return {
+      events,
+      // 続きがあれば次のページの before に渡す値
+      nextBefore: first && first.seq > this.events[0].seq ? first.seq : null,
+      lastSeq: this.nextSeq - 1
+    };
+  }
+
+  recent(limit) {
+    return this.page({ limit }).events;
+  }
+
+  // ファイルを消して以降は書き込まない (メモリ上のイベントは残す)
+  removeFile() {
+    if (!this.filePath) return;
+
+    try {
+      fs.unlinkSync(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove event log (${this.filePath}):`, error.message);
+      }
+    }
+    this.filePath = null;
+    this.fileLines = 0;
+  }
+}
+
+module.exports = { EventLog, MAX_PAGE_SIZE };
@@ -0,0 +1,50 @@
+// セッションごとのGateway受信量の集計 (GATEWAY_PROFILE=1 のときだけ使う)
+//   イベントの種類 (dispatchはイベント名、それ以外は op10 のような名前) ごとに
+//   受信回数・通信量 (圧縮後)・展開後のバイト数・デコードにかかったCPU時間・フィルターで捨てた回数を数える
+
+class GatewayProfile {
+  constructor() {
+    this.since = Date.now();
+    this.events = new Map();
+  }
+
+  record(type, { wireBytes = 0, bytes = 0, cpuNs = 0n, skipped = false }) {
+    let entry = this.events.get(type);
+    if (!entry) {
+      entry = { count: 0, skipped: 0, wireBytes: 0, bytes: 0, cpuNs: 0n };
+      this.events.set(type, entry);
+    }
+
+    entry.count++;
+    entry.wireBytes += wireBytes;
+    entry.bytes += bytes;
+    entry.cpuNs += cpuNs;
+    if (skipped) {
+      entry.skipped++;
+    }
+  }
+
+  // 受信量の多い順
+  toJSON() {
+    const events = Array.from(this.events, ([type, entry]) => ({
+      type,
+      count: entry.count,
+      skipped: entry.skipped,
+      wireBytes: entry.wireBytes,
+      bytes: entry.bytes,
+      cpuMs: Number(entry.cpuNs) / 1e6
+    })).sort((a, b) => b.bytes - a.bytes);
+
+    const total = events.reduce((sum, entry) => ({
+      count: sum.count + entry.count,
+      skipped: sum.skipped + entry.skipped,
+      wireBytes: sum.wireBytes + entry.wireBytes,
+      bytes: sum.bytes + entry.bytes,
+      cpuMs: sum.cpuMs + entry.cpuMs
+    }), { count: 0, skipped: 0, wireBytes: 0, bytes: 0, cpuMs: 0 });
+
+    return { since: this.since, total, events };
+  }
+}
+
+module.exports = { GatewayProfile };
@@ -0,0 +1,314 @@
+const EventEmitter = require('events');
+const zlib = require('zlib');
+const WebSocket = require('ws');
+const etf = require('./etf');
+
+// Gatewayとの送受信 (エンコード方式と圧縮の違いをここで吸収する)
+//   encoding: 'json' (デフォルト) / 'etf'
+//   compress: null (デフォルト) / 'zlib-stream'
+// zlib-stream では接続全体で1つのzlibコンテキストを共有し、各メッセージは 00 00 ff ff で終わる
+//   dispatchFilter: (イベント名) => boolean。false のdispatchは op/t/s だけを読んで本体をデコードしない
+//   profile: GatewayProfile。受信したイベントの種類ごとの通信量とデコード時間を記録する
+
+const ENCODINGS = ['json', 'etf'];
+const COMPRESSIONS = ['zlib-stream'];
+const ZLIB_SUFFIX = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+const ENVELOPE_KEYS = ['op', 't', 's'];
+// connect() が待っているので、フィルターの設定に関係なく必ずデコードするイベント
+const REQUIRED_DISPATCHES = ['READY', 'RESUMED'];
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+
+function skipWhitespace(buffer, index) {
+  while (index < buffer.length && (buffer[index] === 0x20 || buffer[index] === 0x0a || buffer[index] === 0x0d || buffer[index] === 0x09)) {
+    index++;
+  }
+  return index;
+}
+
+// index は開きの " を指していること。閉じの " の次の位置を返す
+function skipJsonString(buffer, index) {
+  index++;
+  while (index < buffer.length && buffer[index] !== QUOTE) {
+    index += buffer[index] === BACKSLASH ? 2 : 1;
+  }
+  return index + 1;
+}
+
+function skipJsonValue(buffer, index) {
+  const first = buffer[index];
+
+  if (first === QUOTE) {
+    return skipJsonString(buffer, index);
+  }
+  if (first === 0x7b || first === 0x5b) {
+    let depth = 0;
+    while (index < buffer.length) {
+      const byte = buffer[index];
+      if (byte === QUOTE) {
+        index = skipJsonString(buffer, index);
+        continue;
+      }
+      if (byte === 0x7b || byte === 0x5b) depth++;
+      if (byte === 0x7d || byte === 0x5d) depth--;
+      index++;
+      if (depth === 0) return index;
+    }
+    return index;
+  }
+
+  // 数値・true/false/null
+  while (index < buffer.length && ![0x2c, 0x7d, 0x5d, 0x20, 0x0a, 0x0d, 0x09].includes(buffer[index])) {
+    index++;
+  }
+  return index;
+}
+
+// JSON全体をパースせずに、トップレベルの op / t / s だけを取り出す
+// (Discordはこれらを d より先に送ってくるので、たいていは先頭だけ見れば済む)
+function peekJson(buffer) {
+  const found = {};
+  let index = skipWhitespace(buffer, 0);
+  if (buffer[index] !== 0x7b) {
+    return found;
+  }
+  index++;
+
+  let remaining = ENVELOPE_KEYS.length;
+  while (index < buffer.length && remaining > 0) {
+    index = skipWhitespace(buffer, index);
+    if (buffer[index] === 0x2c) {
+      index++;
+      continue;
+    }
+    if (buffer[index] !== QUOTE) break;
+
+    const keyEnd = skipJsonString(buffer, index);
+    const key = buffer.toString('utf8', index + 1, keyEnd - 1);
+    const valueStart = skipWhitespace(buffer, skipWhitespace(buffer, keyEnd) + 1);
+    const valueEnd = skipJsonValue(buffer, valueStart);
+
+    if (ENVELOPE_KEYS.includes(key)) {
+      found[key] = JSON.parse(buffer.toString('utf8', valueStart, valueEnd));
+      remaining--;
+    }
+    index = valueEnd;
+  }
+  return found;
+}
+
+const CODECS = {
+  json: {
+    encode: payload => JSON.stringify(payload),
+    decode: data => JSON.parse(data.toString('utf8')),
+    peek: data => peekJson(Buffer.from(data))
+  },
+  etf: {
+    encode: payload => etf.encode(payload),
+    decode: data => etf.decode(data),
+    peek: data => etf.peek(data, ENVELOPE_KEYS)
+  }
+};
+
+// "READY,RESUMED,SESSIONS_REPLACE" のような一覧からフィルターを作る ("*" ならフィルターしない)
+function createDispatchFilter(spec) {
+  if (!spec || spec.trim() === '*') {
+    return null;
+  }
+
+  const allowed = new Set([...REQUIRED_DISPATCHES, ...spec.split(',').map(event => event.trim()).filter(Boolean)]);
+  return event => allowed.has(event);
+}
+
+function validateTransportOptions({ encoding = 'json', compress = null } = {}) {
+  const errors = [];
+
+  if (!ENCODINGS.includes(encoding)) {
+    errors.push(`encoding must be one of ${ENCODINGS.join(', ')}`);
+  }
+  if (compress && !COMPRESSIONS.includes(compress)) {
+    errors.push(`compress must be one of ${COMPRESSIONS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+function buildGatewayUrl(baseUrl, { encoding = 'json', compress = null } = {}) {
+  const params = new URLSearchParams({ v: '9', encoding });
+  if (compress) {
+    params.set('compress', compress);
+  }
+  return `${baseUrl}/?${params}`;
+}
+
+function endsWithSuffix(buffer) {
+  return buffer.length >= ZLIB_SUFFIX.length
+    && buffer.subarray(buffer.length - ZLIB_SUFFIX.length).equals(ZLIB_SUFFIX);
+}
+
+// zlibのストリームに書き込んで Z_SYNC_FLUSH までの出力を受け取る (書き込んだ順に解決される)
+function flushThrough(stream, input) {
+  return new Promise((resolve, reject) => {
+    const output = [];
+    const onData = chunk => output.push(chunk);
+    const onError = (error) => {
+      stream.off('data', onData);
+      reject(error);
+    };
+
+    stream.on('data', onData);
+    stream.once('error', onError);
+    stream.write(input);
+    stream.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+      stream.off('data', onData);
+      stream.off('error', onError);
+      resolve(Buffer.concat(output));
+    });
+  });
+}
+
+// 受信側: 1つのメッセージが複数のフレームに分かれて届くことがあるので、末尾の 00 00 ff ff まで溜める
+class ZlibStreamInflater {
+  constructor() {
+    this.inflate = zlib.createInflate({ chunkSize: 64 * 1024 });
+    this.pending = [];
+    this.queue = Promise.resolve();
+  }
+
+  // メッセージの途中なら null で解決する
+  push(chunk) {
+    this.pending.push(chunk);
+    if (!endsWithSuffix(chunk)) {
+      return Promise.resolve(null);
+    }
+
+    const input = Buffer.concat(this.pending);
+    this.pending = [];
+    this.queue = this.queue.then(() => flushThrough(this.inflate, input));
+    return this.queue;
+  }
+
+  close() {
+    this.inflate.close();
+  }
+}
+
+// 送信側 (モックのGateway用)
+class ZlibStreamDeflater {
+  constructor() {
+    this.deflate = zlib.createDeflate();
+    this.queue = Promise.resolve();
+  }
+
+  push(data) {
+    this.queue = this.queue.then(() => flushThrough(this.deflate, Buffer.from(data)));
+    return this.queue;
+  }
+
+  close() {
+    this.deflate.close();
+  }
+}
+
+// イベント: open, payload (デコード済みのペイロード), skipped (フィルターで捨てたdispatchの { op, t, s }), close (コード), error
+class GatewayTransport extends EventEmitter {
+  constructor(baseUrl, options = {}) {
+    super();
+    const errors = validateTransportOptions(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    this.codec = CODECS[options.encoding || 'json'];
+    this.inflater = options.compress ? new ZlibStreamInflater() : null;
+    this.dispatchFilter = options.dispatchFilter || null;
+    this.profile = options.profile || null;
+    // zlib-stream で1つのメッセージが複数フレームに分かれた場合の合計
+    this.pendingWireBytes = 0;
+    // 解凍が非同期なので、受信したメッセージと切断は届いた順に1つずつ処理する
+    this.queue = Promise.resolve();
+
+    this.ws = new WebSocket(buildGatewayUrl(baseUrl, options));
+    this.ws.on('open', () => this.emit('open'));
+    this.ws.on('message', data => this.enqueue(() => this.receive(data)));
+    this.ws.on('close', code => this.enqueue(() => {
+      if (this.inflater) {
+        this.inflater.close();
+      }
+      this.emit('close', code);
+    }));
+    this.ws.on('error', error => this.emit('error', error));
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch((error) => {
+      this.emit('error', error);
+      // 解凍やデコードに失敗した後は続きを読めないので、RESUMEできるコードで閉じて接続し直す
+      this.close(4000);
+    });
+  }
+
+  async receive(data) {
+    this.pendingWireBytes += data.length;
+    const message = this.inflater ? await this.inflater.push(data) : data;
+    if (!message) {
+      return;
+    }
+
+    const wireBytes = this.pendingWireBytes;
+    this.pendingWireBytes = 0;
+    const started = this.profile ? process.hrtime.bigint() : null;
+    const record = (type, skipped) => {
+      if (this.profile) {
+        this.profile.record(type, {
+          wireBytes,
+          bytes: message.length,
+          cpuNs: process.hrtime.bigint() - started,
+          skipped
+        });
+      }
+    };
+
+    if (this.dispatchFilter) {
+      const envelope = this.codec.peek(message);
+      if (envelope.op === 0 && !this.dispatchFilter(envelope.t)) {
+        record(envelope.t, true);
+        // シーケンス番号はheartbeatとRESUMEに必要なので、捨てたイベントの分も通知する
+        this.emit('skipped', envelope);
+        return;
+      }
+    }
+
+    const payload = this.codec.decode(message);
+    record(payload.op === 0 ? payload.t : `op${payload.op}`, false);
+    this.emit('payload', payload);
+  }
+
+  isOpen() {
+    return this.ws.readyState === WebSocket.OPEN;
+  }
+
+  send(payload) {
+    this.ws.send(this.codec.encode(payload));
+  }
+
+  close(code) {
+    if (this.ws.readyState === WebSocket.CONNECTING || this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close(code);
+    }
+  }
+}
+
+module.exports = {
+  CODECS,
+  COMPRESSIONS,
+  ENCODINGS,
+  GatewayTransport,
+  ZlibStreamDeflater,
+  ZlibStreamInflater,
+  buildGatewayUrl,
+  createDispatchFilter,
+  peekJson,
+  validateTransportOptions
+};
@@ -0,0 +1,80 @@
+// 任意のHTTPS画像URLを、Discordのメディアプロキシ経由の mp:external/... アセットにする
+// Discord CDNの画像はそのまま mp:<パス> にでき、それ以外は external-assets APIで登録する
+// applicationId がなければ登録できないので、mp: とDiscord CDNの画像だけを扱う
+
+const DISCORD_MEDIA_HOSTS = ['media.discordapp.net', 'cdn.discordapp.com'];
+
+function parseHttpsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function createExternalImageSource({
+  fetch,
+  apiUrl = 'https://discord.com/api/v9',
+  applicationId,
+  timeoutMs = 5000
+}) {
+  return {
+    name: 'external',
+
+    matches(url) {
+      if (String(url).startsWith('mp:')) {
+        return true;
+      }
+      const parsed = parseHttpsUrl(url);
+      return Boolean(parsed && (applicationId || DISCORD_MEDIA_HOSTS.includes(parsed.hostname)));
+    },
+
+    // context.getToken() はexternal-assets APIの呼び出しに使うDiscordトークンを返す
+    // (トークンの復号は登録が必要なときだけにする)
+    async resolve(url, context = {}) {
+      if (url.startsWith('mp:')) {
+        return url;
+      }
+
+      const parsed = parseHttpsUrl(url);
+      if (DISCORD_MEDIA_HOSTS.includes(parsed.hostname)) {
+        return `mp:${parsed.pathname.slice(1)}${parsed.search}`;
+      }
+
+      if (!applicationId || !context.getToken) {
+        throw new Error('External images require DISCORD_APPLICATION_ID and a session token');
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const response = await fetch(`${apiUrl}/applications/${applicationId}/external-assets`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: context.getToken()
+          },
+          body: JSON.stringify({ urls: [url] }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`external-assets request failed (HTTP ${response.status})`);
+        }
+
+        const [asset] = await response.json();
+        if (!asset || !asset.external_asset_path) {
+          throw new Error('external-assets response did not include an asset path');
+        }
+
+        return `mp:${asset.external_asset_path}`;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+module.exports = { createExternalImageSource };
@@ -0,0 +1,40 @@
+const { LruCache } = require('../lru-cache');
+const { createSpotifyImageSource } = require('./spotify');
+const { createExternalImageSource } = require('./external');
+
+// 画像URLをDiscordのアセットキーに変換する。sourcesは先に一致したものが使われる
+class ImageResolver {
+  constructor(sources, { cacheSize = 500, cacheTtlMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.sources = sources;
+    this.cache = new LruCache({ maxSize: cacheSize, ttlMs: cacheTtlMs });
+  }
+
+  supports(url) {
+    return this.sources.some(source => source.matches(url));
+  }
+
+  // 対応する画像ソースがなければ null
+  async resolve(url, context) {
+    if (!url) return null;
+
+    const cached = this.cache.get(url);
+    if (cached) {
+      return cached;
+    }
+
+    const source = this.sources.find(candidate => candidate.matches(url));
+    if (!source) {
+      return null;
+    }
+
+    const asset = await source.resolve(url, context);
+    this.cache.set(url, asset);
+    return asset;
+  }
+}
+
+module.exports = {
+  ImageResolver,
+  createSpotifyImageSource,
+  createExternalImageSource
+};
@@ -0,0 +1,19 @@
+const { parseSpotifyUrl } = require('../spotify-url');
+
+// i.scdn.co の画像URLや spotify:<画像id> を Discordの spotify:<画像id> アセットにする
+function createSpotifyImageSource() {
+  return {
+    name: 'spotify',
+
+    matches(url) {
+      const parsed = parseSpotifyUrl(url);
+      return Boolean(parsed && parsed.kind === 'image');
+    },
+
+    async resolve(url) {
+      return `spotify:${parseSpotifyUrl(url).id}`;
+    }
+  };
+}
+
+module.exports = { createSpotifyImageSource };
@@ -0,0 +1,40 @@
+// 件数上限とTTL付きの単純なLRUキャッシュ (Mapの挿入順を利用する)
+class LruCache {
+  constructor({ maxSize = 500, ttlMs = 60 * 60 * 1000 } = {}) {
+    this.maxSize = maxSize;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // 最近使ったものを末尾に移動する
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = { LruCache };
@@ -0,0 +1,162 @@
+// 再生中の曲をListening (type 2) のアクティビティにする
+// 曲情報はローカルのエージェントがWebhookで送ってくるか、Last.fm互換のAPIをポーリングして取得する
+//   track: { title, artist, album, coverUrl, durationMs, positionMs, app }
+
+const LISTENING_TYPE = '2';
+const NOW_PLAYING_ACTIVITY_ID = 'now-playing';
+const MIN_POLL_SECONDS = 10;
+const DEFAULT_LASTFM_API_URL = 'https://ws.audioscrobbler.com/2.0/';
+// 位置情報のずれがこれ以内なら同じ再生とみなして送り直さない
+const SAME_PLAYBACK_TOLERANCE_MS = 5000;
+
+function validateTrack(track) {
+  const errors = [];
+
+  if (!track || typeof track !== 'object') {
+    return ['Track must be an object'];
+  }
+
+  if (!track.title || String(track.title).length > 128) {
+    errors.push('track.title must be 1-128 characters');
+  }
+  if (track.artist && String(track.artist).length > 125) {
+    errors.push('track.artist must be at most 125 characters');
+  }
+  if (track.app && String(track.app).length > 128) {
+    errors.push('track.app must be at most 128 characters');
+  }
+  for (const field of ['durationMs', 'positionMs']) {
+    if (track[field] !== undefined && !(Number(track[field]) >= 0)) {
+      errors.push(`track.${field} must be a non-negative number`);
+    }
+  }
+
+  return errors;
+}
+
+// now は再生開始時刻の計算に使う (テスト用に差し替えられるようにしている)
+function trackToActivity(track, { appName = 'Music', now = Date.now() } = {}) {
+  const startTimestamp = now - (Number(track.positionMs) || 0);
+
+  const activity = {
+    type: LISTENING_TYPE,
+    name: track.app ? String(track.app) : appName,
+    details: String(track.title),
+    state: track.artist ? `by ${track.artist}` : undefined,
+    startTimestamp
+  };
+
+  if (Number(track.durationMs) > 0) {
+    activity.endTimestamp = startTimestamp + Number(track.durationMs);
+  }
+
+  if (track.coverUrl) {
+    activity.imageUrl = track.coverUrl;
+    activity.imageText = track.album || String(track.title);
+  }
+
+  return activity;
+}
+
+function isSamePlayback(previous, next) {
+  return Boolean(previous && next)
+    && previous.details === next.details
+    && previous.state === next.state
+    && previous.imageUrl === next.imageUrl
+    && Math.abs(previous.startTimestamp - next.startTimestamp) < SAME_PLAYBACK_TOLERANCE_MS;
+}
+
+// user.getrecenttracks の結果から再生中の曲を取り出す (再生していなければ null)
+function parseRecentTracks(data) {
+  const tracks = data && data.recenttracks && data.recenttracks.track;
+  const latest = Array.isArray(tracks) ? tracks[0] : tracks;
+
+  if (!latest || !latest['@attr'] || latest['@attr'].nowplaying !== 'true') {
+    return null;
+  }
+
+  const images = Array.isArray(latest.image) ? latest.image : [];
+  const cover = images.filter(image => image['#text']).pop();
+
+  return {
+    title: latest.name,
+    artist: latest.artist && (latest.artist['#text'] || latest.artist.name),
+    album: latest.album && latest.album['#text'],
+    coverUrl: cover ? cover['#text'] : undefined
+  };
+}
+
+// Last.fm互換の recent tracks エンドポイントを定期的に取得する
+class LastFmPoller {
+  constructor({ fetch, user, apiKey, apiUrl = DEFAULT_LASTFM_API_URL, intervalSeconds = 30, onTrack, onError }) {
+    this.fetch = fetch;
+    this.user = user;
+    this.apiKey = apiKey;
+    this.apiUrl = apiUrl;
+    this.intervalMs = Math.max(Number(intervalSeconds) || 0, MIN_POLL_SECONDS) * 1000;
+    this.onTrack = onTrack;
+    this.onError = onError || (() => {});
+    this.timer = null;
+    this.lastKey = undefined;
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    return this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    const url = new URL(this.apiUrl);
+    url.search = new URLSearchParams({
+      method: 'user.getrecenttracks',
+      user: this.user,
+      api_key: this.apiKey,
+      format: 'json',
+      limit: '1'
+    }).toString();
+
+    try {
+      const response = await this.fetch(url.toString());
+      if (!response.ok) {
+        throw new Error(`recent tracks request failed (HTTP ${response.status})`);
+      }
+
+      const track = parseRecentTracks(await response.json());
+
+      // 取得中に停止された場合は反映しない
+      if (!this.timer) {
+        return;
+      }
+      const key = track ? `${track.artist}\u0000${track.title}` : null;
+
+      if (key === this.lastKey) {
+        return;
+      }
+
+      this.lastKey = key;
+      // Last.fmは再生位置を返さないので、曲が変わったのを見た時刻を再生開始とする
+      this.onTrack(track ? { ...track, positionMs: 0 } : null);
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+}
+
+module.exports = {
+  NOW_PLAYING_ACTIVITY_ID,
+  MIN_POLL_SECONDS,
+  DEFAULT_LASTFM_API_URL,
+  LastFmPoller,
+  isSamePlayback,
+  parseRecentTracks,
+  trackToActivity,
+  validateTrack
+};
@@ -0,0 +1,20 @@
+const { buildActivity } = require('./activity');
+
+// op 3 (Presence Update) のペイロードを組み立てる
+// updatePresenceとkeep-aliveの両方がここを通るので、送る内容は常に一致する
+
+function buildPresencePayload({ activities = [], onlineStatus = 'online', afk = false } = {}) {
+  return {
+    op: 3,
+    d: {
+      since: 0,
+      activities: activities.map(buildActivity).filter(Boolean),
+      status: onlineStatus,
+      afk
+    }
+  };
+}
+
+module.exports = {
+  buildPresencePayload
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { validateActivity, buildActivity } = require('./activity');
+
+// 名前付きのプリセット (よく使うアクティビティ) を保存する
+// dataDir を渡さなければメモリ上だけで保持する
+
+const MAX_PRESETS = 100;
+const MAX_NAME_LENGTH = 64;
+
+// options は validateActivity にそのまま渡す
+function validatePreset(preset, options = {}) {
+  const errors = [];
+
+  if (!preset || typeof preset !== 'object') {
+    return ['Preset must be an object'];
+  }
+
+  if (!preset.name || String(preset.name).length > MAX_NAME_LENGTH) {
+    errors.push(`name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+
+  const activityErrors = validateActivity(preset.activity, options);
+  activityErrors.forEach(error => errors.push(`activity: ${error}`));
+  if (activityErrors.length === 0 && !buildActivity(preset.activity)) {
+    errors.push('activity: Activity has nothing to display');
+  }
+
+  return errors;
+}
+
+class PresetStore {
+  constructor(dataDir = null) {
+    this.filePath = dataDir ? path.join(dataDir, 'presets.json') : null;
+    this.presets = new Map();
+
+    if (this.filePath) {
+      fs.mkdirSync(dataDir, { recursive: true });
+      this.load();
+    }
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.presets = new Map(saved.map(preset => [preset.id, preset]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load preset store (${this.filePath}):`, error.message);
+      }
+      this.presets = new Map();
+    }
+  }
+
+  list() {
+    return Array.from(this.presets.values());
+  }
+
+  get(presetId) {
+    return this.presets.get(presetId) || null;
+  }
+
+  // idを省略すると新しく作る
+  save({ name, activity }, presetId = crypto.randomBytes(4).toString('hex')) {
+    if (!this.presets.has(presetId) && this.presets.size >= MAX_PRESETS) {
+      throw new Error(`At most ${MAX_PRESETS} presets are allowed`);
+    }
+
+    const preset = { id: presetId, name, activity, updatedAt: Date.now() };
+    this.presets.set(presetId, preset);
+    this.flush();
+    return preset;
+  }
+
+  remove(presetId) {
+    if (!this.presets.delete(presetId)) {
+      return false;
+    }
+    this.flush();
+    return true;
+  }
+
+  // replace=true なら既存のプリセットをすべて置き換える。同じidは上書きする
+  import(presets, { replace = false } = {}) {
+    const merged = replace ? new Map() : new Map(this.presets);
+
+    for (const preset of presets) {
+      const presetId = typeof preset.id === 'string' && /^[\w-]{1,32}$/.test(preset.id) ? preset.id : crypto.randomBytes(4).toString('hex');
+      merged.set(presetId, {
+        id: presetId,
+        name: preset.name,
+        activity: preset.activity,
+        updatedAt: Date.now()
+      });
+    }
+
+    if (merged.size > MAX_PRESETS) {
+      throw new Error(`At most ${MAX_PRESETS} presets are allowed`);
+    }
+
+    this.presets = merged;
+    this.flush();
+    return this.list();
+  }
+
+  flush() {
+    if (!this.filePath) return;
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = {
+  PresetStore,
+  validatePreset
+};
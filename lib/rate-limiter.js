@@ -0,0 +1,77 @@
+// intervalMs あたり limit 回までに外部へのリクエストを抑える
+// 上限に達したら、空きができるまで順番に待たせる (待ちが maxQueue 件を超えたら受け付けない)
+
+class RateLimitQueueFullError extends Error {
+  constructor() {
+    super('Rate limit queue is full');
+    this.name = 'RateLimitQueueFullError';
+  }
+}
+
+class RateLimiter {
+  constructor({ limit = 5, intervalMs = 1000, maxQueue = 50 } = {}) {
+    this.limit = limit;
+    this.intervalMs = intervalMs;
+    this.maxQueue = maxQueue;
+    this.timestamps = [];
+    this.queue = [];
+    this.timer = null;
+  }
+
+  // signal が abort されたら順番待ちから外して AbortError で失敗する
+  acquire({ signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(abortError());
+      }
+
+      if (this.queue.length >= this.maxQueue) {
+        return reject(new RateLimitQueueFullError());
+      }
+
+      const waiter = {
+        resolve: () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          resolve();
+        }
+      };
+      const onAbort = () => {
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(abortError());
+        }
+      };
+
+      if (signal) signal.addEventListener('abort', onAbort);
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  drain() {
+    const now = Date.now();
+    this.timestamps = this.timestamps.filter(time => now - time < this.intervalMs);
+
+    while (this.queue.length > 0 && this.timestamps.length < this.limit) {
+      this.timestamps.push(now);
+      this.queue.shift().resolve();
+    }
+
+    if (this.queue.length > 0 && !this.timer) {
+      const wait = this.intervalMs - (now - this.timestamps[0]);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+module.exports = { RateLimiter, RateLimitQueueFullError };
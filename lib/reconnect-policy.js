@@ -0,0 +1,78 @@
+// Discord Gatewayのクローズコードに応じた再接続ポリシー
+// https://discord.com/developers/docs/topics/opcodes-and-status-codes#gateway-gateway-close-event-codes
+
+const CLOSE_ACTION = {
+  RESUME: 'resume',
+  REIDENTIFY: 'reidentify',
+  FATAL: 'fatal'
+};
+
+const CLOSE_CODES = {
+  4000: CLOSE_ACTION.RESUME,      // Unknown error
+  4001: CLOSE_ACTION.RESUME,      // Unknown opcode
+  4002: CLOSE_ACTION.RESUME,      // Decode error
+  4003: CLOSE_ACTION.RESUME,      // Not authenticated
+  4004: CLOSE_ACTION.FATAL,       // Authentication failed
+  4005: CLOSE_ACTION.RESUME,      // Already authenticated
+  4007: CLOSE_ACTION.REIDENTIFY,  // Invalid seq
+  4008: CLOSE_ACTION.RESUME,      // Rate limited
+  4009: CLOSE_ACTION.REIDENTIFY,  // Session timed out
+  4010: CLOSE_ACTION.FATAL,       // Invalid shard
+  4011: CLOSE_ACTION.FATAL,       // Sharding required
+  4012: CLOSE_ACTION.FATAL,       // Invalid API version
+  4013: CLOSE_ACTION.FATAL,       // Invalid intent(s)
+  4014: CLOSE_ACTION.FATAL,       // Disallowed intent(s)
+  1000: CLOSE_ACTION.REIDENTIFY,  // 正常終了ではセッションが破棄される
+  1001: CLOSE_ACTION.REIDENTIFY
+};
+
+const CLOSE_REASONS = {
+  4004: '認証に失敗しました (トークンが無効です)',
+  4010: '無効なシャードです',
+  4011: 'シャーディングが必要です',
+  4012: '無効なAPIバージョンです',
+  4013: '無効なインテントです',
+  4014: '許可されていないインテントです'
+};
+
+function classifyCloseCode(code) {
+  // 上記以外 (1006などの異常切断) はRESUMEを試みる
+  return CLOSE_CODES[code] || CLOSE_ACTION.RESUME;
+}
+
+function describeCloseCode(code) {
+  return CLOSE_REASONS[code] || `接続が閉じられました (Code: ${code})`;
+}
+
+class ReconnectPolicy {
+  constructor({ baseDelay = 1000, maxDelay = 60 * 1000, maxAttempts = 10 } = {}) {
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.maxAttempts = maxAttempts;
+    this.attempts = 0;
+  }
+
+  // 次の再接続までの待ち時間 (ms)。上限に達していたら null
+  nextDelay() {
+    if (this.attempts >= this.maxAttempts) {
+      return null;
+    }
+
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** this.attempts);
+    this.attempts++;
+
+    // 半分は固定、残り半分をジッターにして同時再接続が重ならないようにする
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  reset() {
+    this.attempts = 0;
+  }
+}
+
+module.exports = {
+  CLOSE_ACTION,
+  ReconnectPolicy,
+  classifyCloseCode,
+  describeCloseCode
+};
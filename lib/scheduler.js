@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { parseCron, nextRun } = require('./cron');
+const { validateActivity, buildActivity } = require('./activity');
+
+// セッションごとのスケジュール (サーバー側のタイマーでプレゼンスを切り替える)
+//   rotation: { type: 'rotation', intervalMinutes, activities: [...] } 一定間隔で順番に切り替える
+//   cron:     { type: 'cron', cron: '0 9 * * 1-5', activity: {...} }   cron式に一致した時刻に切り替える
+
+const MAX_ENTRIES = 10;
+const MAX_ROTATION_ITEMS = 20;
+// Discordのレート制限を考えて1分未満の間隔は受け付けない
+const MIN_INTERVAL_MINUTES = 1;
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// options は validateActivity にそのまま渡す
+function validateScheduleEntry(entry, options = {}) {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return ['Schedule entry must be an object'];
+  }
+
+  const checkActivity = (activity, label) => {
+    const activityErrors = validateActivity(activity, options);
+    activityErrors.forEach(error => errors.push(`${label}: ${error}`));
+    if (activityErrors.length === 0 && !buildActivity(activity)) {
+      errors.push(`${label}: Activity has nothing to display`);
+    }
+  };
+
+  if (entry.type === 'rotation') {
+    const interval = Number(entry.intervalMinutes);
+    if (!Number.isFinite(interval) || interval < MIN_INTERVAL_MINUTES) {
+      errors.push(`intervalMinutes must be at least ${MIN_INTERVAL_MINUTES}`);
+    }
+    if (!Array.isArray(entry.activities) || entry.activities.length === 0) {
+      errors.push('activities must be a non-empty array');
+    } else if (entry.activities.length > MAX_ROTATION_ITEMS) {
+      errors.push(`At most ${MAX_ROTATION_ITEMS} activities are allowed in a rotation`);
+    } else {
+      entry.activities.forEach((activity, index) => checkActivity(activity, `activities[${index}]`));
+    }
+  } else if (entry.type === 'cron') {
+    try {
+      parseCron(entry.cron);
+    } catch (error) {
+      errors.push(error.message);
+    }
+    checkActivity(entry.activity, 'activity');
+  } else {
+    errors.push('type must be "rotation" or "cron"');
+  }
+
+  return errors;
+}
+
+class Scheduler {
+  // apply(activity, entry) がスケジュールの切り替え時に呼ばれる
+  constructor(apply) {
+    this.apply = apply;
+    this.entries = new Map();
+    this.timers = new Map();
+    // entryId -> 次に切り替える時刻 (ms)
+    this.nextRuns = new Map();
+    this.rotationIndexes = new Map();
+  }
+
+  list() {
+    return Array.from(this.entries.values());
+  }
+
+  // entryId -> 次に表示するローテーションの位置 (保存用)
+  rotationState() {
+    return Object.fromEntries(this.rotationIndexes);
+  }
+
+  get(entryId) {
+    return this.entries.get(entryId) || null;
+  }
+
+  // 既存のidなら置き換え、idがなければ新しく作る
+  // 保存から復元する場合は rotationIndex で続きの位置を指定し、applyNow: false で今のアクティビティを上書きしない
+  set(entryData, entryId = crypto.randomBytes(4).toString('hex'), { rotationIndex = 0, applyNow = true } = {}) {
+    if (!this.entries.has(entryId) && this.entries.size >= MAX_ENTRIES) {
+      throw new Error(`At most ${MAX_ENTRIES} schedule entries are allowed`);
+    }
+
+    const entry = { ...entryData, id: entryId };
+    this.clearTimer(entryId);
+    this.entries.set(entryId, entry);
+    this.rotationIndexes.set(entryId, rotationIndex);
+
+    if (entry.type === 'rotation' && applyNow) {
+      // ローテーションは作った時点で1つ目を表示する
+      this.runRotation(entry);
+    } else {
+      this.arm(entry);
+    }
+
+    return entry;
+  }
+
+  remove(entryId) {
+    if (!this.entries.has(entryId)) {
+      return false;
+    }
+
+    this.clearTimer(entryId);
+    this.entries.delete(entryId);
+    this.rotationIndexes.delete(entryId);
+    return true;
+  }
+
+  // 次に予定されている切り替え ({ entryId, at, activity })。なければ null
+  nextChange() {
+    let next = null;
+
+    for (const [entryId, at] of this.nextRuns) {
+      if (!next || at < next.at) {
+        next = { entryId, at };
+      }
+    }
+
+    if (!next) {
+      return null;
+    }
+
+    const entry = this.entries.get(next.entryId);
+    return { ...next, activity: this.upcomingActivity(entry) };
+  }
+
+  upcomingActivity(entry) {
+    if (entry.type === 'rotation') {
+      return entry.activities[this.rotationIndexes.get(entry.id) % entry.activities.length];
+    }
+    return entry.activity;
+  }
+
+  computeNextRun(entry) {
+    return entry.type === 'rotation'
+      ? Date.now() + Number(entry.intervalMinutes) * 60 * 1000
+      : nextRun(entry.cron);
+  }
+
+  arm(entry, at = this.computeNextRun(entry)) {
+    if (at === null) {
+      return;
+    }
+
+    this.nextRuns.set(entry.id, at);
+    this.timers.set(entry.id, setTimeout(() => this.fire(entry.id), Math.min(Math.max(at - Date.now(), 0), MAX_TIMEOUT)));
+  }
+
+  fire(entryId) {
+    const entry = this.entries.get(entryId);
+    if (!entry) return;
+
+    const at = this.nextRuns.get(entryId);
+    this.timers.delete(entryId);
+    this.nextRuns.delete(entryId);
+
+    // setTimeoutの上限 (約24日) を超える予定は、時刻になるまで張り直す
+    if (Date.now() < at) {
+      this.arm(entry, at);
+      return;
+    }
+
+    if (entry.type === 'rotation') {
+      this.runRotation(entry);
+    } else {
+      this.apply(entry.activity, entry);
+      this.arm(entry);
+    }
+  }
+
+  runRotation(entry) {
+    const index = this.rotationIndexes.get(entry.id);
+    this.rotationIndexes.set(entry.id, index + 1);
+    this.apply(entry.activities[index % entry.activities.length], entry);
+    this.arm(entry);
+  }
+
+  clearTimer(entryId) {
+    if (this.timers.has(entryId)) {
+      clearTimeout(this.timers.get(entryId));
+      this.timers.delete(entryId);
+    }
+    this.nextRuns.delete(entryId);
+  }
+
+  stop() {
+    for (const entryId of this.timers.keys()) {
+      this.clearTimer(entryId);
+    }
+  }
+}
+
+module.exports = {
+  MAX_ENTRIES,
+  Scheduler,
+  validateScheduleEntry
+};
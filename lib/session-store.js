@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// セッション情報をJSONファイルに保存して、サーバー再起動後も復元できるようにする
+class SessionStore {
+  constructor(dataDir) {
+    this.filePath = path.join(dataDir, 'sessions.json');
+    this.sessions = {};
+
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.load();
+  }
+
+  load() {
+    try {
+      this.sessions = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load session store (${this.filePath}):`, error.message);
+      }
+      this.sessions = {};
+    }
+    return this.list();
+  }
+
+  list() {
+    return Object.keys(this.sessions).map(sessionId => ({
+      sessionId,
+      ...this.sessions[sessionId]
+    }));
+  }
+
+  save(sessionId, record) {
+    this.sessions[sessionId] = {
+      ...this.sessions[sessionId],
+      ...record,
+      updatedAt: Date.now()
+    };
+    this.flush();
+  }
+
+  remove(sessionId) {
+    if (!(sessionId in this.sessions)) {
+      return;
+    }
+    delete this.sessions[sessionId];
+    this.flush();
+  }
+
+  flush() {
+    // 書き込み途中でクラッシュしてもファイルが壊れないように一時ファイル経由で置き換える
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.sessions, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,152 @@
+const { LruCache } = require('./lru-cache');
+const { RateLimiter, RateLimitQueueFullError } = require('./rate-limiter');
+const { parseSpotifyUrl, resolveSpotifyUrl, toOpenUrl } = require('./spotify-url');
+
+// Spotify oEmbedでの曲情報の取得 (キャッシュ・タイムアウト・同時リクエストのまとめ・レート制限付き)
+// fetch と oembedUrl を差し替えればテストでローカルのスタブサーバーに向けられる
+
+class SpotifyLookupError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SpotifyLookupError';
+    this.status = status;
+  }
+}
+
+function parseOembed(target, data) {
+  const title = data.title || '';
+  const thumbnailUrl = data.thumbnail_url || '';
+
+  let songName = title;
+  let artistName = 'Unknown Artist';
+
+  if (title.includes(' - ')) {
+    const parts = title.split(' - ', 2);
+    songName = parts[0].trim();
+    artistName = parts[1].trim();
+  }
+
+  const thumbnail = parseSpotifyUrl(thumbnailUrl);
+
+  return {
+    songName,
+    artistName,
+    thumbnailUrl,
+    spotifyImageId: thumbnail && thumbnail.kind === 'image' ? thumbnail.id : null,
+    kind: target.kind,
+    id: target.id,
+    trackId: target.id
+  };
+}
+
+class SpotifyLookup {
+  constructor({
+    fetch,
+    oembedUrl = 'https://open.spotify.com/oembed',
+    timeoutMs = 5000,
+    cacheSize = 500,
+    cacheTtlMs = 6 * 60 * 60 * 1000,
+    rateLimit = { limit: 5, intervalMs: 1000 }
+  }) {
+    this.fetch = fetch;
+    this.oembedUrl = oembedUrl;
+    this.timeoutMs = timeoutMs;
+    this.cache = new LruCache({ maxSize: cacheSize, ttlMs: cacheTtlMs });
+    this.limiter = new RateLimiter(rateLimit);
+    // 同じ曲への同時リクエストは1回にまとめる
+    this.pending = new Map();
+  }
+
+  // { info, cached } を返す。失敗したときは SpotifyLookupError を投げる
+  async lookup(url) {
+    const target = await this.resolve(url);
+    const key = `${target.kind}:${target.id}`;
+
+    const cached = this.cache.get(key);
+    if (cached) {
+      return { info: cached, cached: true };
+    }
+
+    if (!this.pending.has(key)) {
+      const request = this.fetchInfo(target)
+        .then((info) => {
+          this.cache.set(key, info);
+          return info;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+
+    return { info: await this.pending.get(key), cached: false };
+  }
+
+  async resolve(url) {
+    const parsed = parseSpotifyUrl(url);
+
+    if (parsed && parsed.kind === 'short') {
+      const key = `short:${parsed.id}`;
+      const cached = this.cache.get(key);
+      if (cached) {
+        return cached;
+      }
+
+      const resolved = await resolveSpotifyUrl(url, (target, options) => this.request(target, options));
+      if (!resolved) {
+        throw new SpotifyLookupError('Could not resolve Spotify short link', 400);
+      }
+
+      this.cache.set(key, resolved);
+      return resolved;
+    }
+
+    if (!parsed || parsed.kind === 'image') {
+      throw new SpotifyLookupError('Invalid Spotify URL', 400);
+    }
+
+    return parsed;
+  }
+
+  async fetchInfo(target) {
+    const response = await this.request(`${this.oembedUrl}?url=${encodeURIComponent(toOpenUrl(target))}`);
+
+    // Spotify側の制限や障害は「見つからない」と区別して返す
+    if (response.status === 429) {
+      throw new SpotifyLookupError('Spotify is rate limiting requests', 429);
+    }
+    if (response.status >= 500) {
+      throw new SpotifyLookupError(`Spotify returned ${response.status}`, 502);
+    }
+    if (!response.ok) {
+      throw new SpotifyLookupError('Spotify track not found', 404);
+    }
+
+    return parseOembed(target, await response.json());
+  }
+
+  // レート制限とタイムアウトをかけて外部にリクエストする
+  // タイムアウトには順番待ちの時間も含める
+  async request(url, options = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      await this.limiter.acquire({ signal: controller.signal });
+      return await this.fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (error instanceof RateLimitQueueFullError) {
+        throw new SpotifyLookupError('Too many Spotify lookups, try again later', 429);
+      }
+      if (error.name === 'AbortError') {
+        throw new SpotifyLookupError('Spotify request timed out', 504);
+      }
+      throw new SpotifyLookupError(`Spotify request failed: ${error.message}`, 502);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = {
+  SpotifyLookup,
+  SpotifyLookupError
+};
@@ -0,0 +1,111 @@
+// SpotifyのURL / URIを { kind, id } に正規化する
+//   https://open.spotify.com/track/ID?si=...        -> { kind: 'track', id }
+//   https://open.spotify.com/intl-ja/album/ID       -> { kind: 'album', id }
+//   https://open.spotify.com/user/xxx/playlist/ID   -> { kind: 'playlist', id }
+//   spotify:episode:ID                              -> { kind: 'episode', id }
+//   https://i.scdn.co/image/ID, spotify:ID          -> { kind: 'image', id }
+//   https://spotify.link/xxxx                       -> { kind: 'short', id } (resolveSpotifyUrlで展開する)
+
+const KINDS = ['track', 'album', 'playlist', 'artist', 'episode', 'show'];
+const OPEN_HOSTS = ['open.spotify.com', 'play.spotify.com'];
+const SHORT_HOSTS = ['spotify.link', 'spotify.app.link'];
+const ID_PATTERN = /^[A-Za-z0-9]+$/;
+
+function parseUri(uri) {
+  // spotify:user:xxx:playlist:ID のような古い形式にも対応するため末尾の2つを見る
+  const parts = uri.split(':');
+
+  if (parts.length === 2 && ID_PATTERN.test(parts[1])) {
+    return { kind: 'image', id: parts[1] };
+  }
+
+  const kind = parts[parts.length - 2];
+  const id = parts[parts.length - 1];
+
+  if (KINDS.includes(kind) && ID_PATTERN.test(id)) {
+    return { kind, id };
+  }
+
+  return null;
+}
+
+function parseWebUrl(url) {
+  const segments = url.pathname.split('/').filter(Boolean);
+
+  if (SHORT_HOSTS.includes(url.hostname)) {
+    return segments.length > 0 ? { kind: 'short', id: segments[0] } : null;
+  }
+
+  if (url.hostname.endsWith('.scdn.co') || url.hostname.endsWith('.spotifycdn.com')) {
+    const index = segments.indexOf('image');
+    const id = index === -1 ? null : segments[index + 1];
+    return id && ID_PATTERN.test(id) ? { kind: 'image', id } : null;
+  }
+
+  if (!OPEN_HOSTS.includes(url.hostname)) {
+    return null;
+  }
+
+  // /intl-ja/ や /embed/ などの前置きを読み飛ばして、種類とidの組を探す
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (KINDS.includes(segments[i]) && ID_PATTERN.test(segments[i + 1])) {
+      return { kind: segments[i], id: segments[i + 1] };
+    }
+  }
+
+  return null;
+}
+
+function parseSpotifyUrl(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+
+  if (value.startsWith('spotify:')) {
+    return parseUri(value);
+  }
+
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+  } catch (error) {
+    return null;
+  }
+
+  return parseWebUrl(url);
+}
+
+// 短縮リンクはリダイレクト先 (もしくはページ内のopen.spotify.comへのリンク) を辿って正規化する
+async function resolveSpotifyUrl(input, fetch) {
+  const parsed = parseSpotifyUrl(input);
+
+  if (!parsed || parsed.kind !== 'short') {
+    return parsed;
+  }
+
+  const response = await fetch(`https://spotify.link/${parsed.id}`, { redirect: 'follow' });
+  const resolved = parseSpotifyUrl(response.url);
+
+  if (resolved && resolved.kind !== 'short') {
+    return resolved;
+  }
+
+  const body = await response.text();
+  const match = body.match(/https:\/\/open\.spotify\.com\/[^\s"'<>]+/);
+  const fromBody = match ? parseSpotifyUrl(match[0].replace(/&amp;/g, '&')) : null;
+
+  return fromBody && fromBody.kind !== 'short' ? fromBody : null;
+}
+
+function toOpenUrl({ kind, id }) {
+  return `https://open.spotify.com/${kind}/${id}`;
+}
+
+module.exports = {
+  KINDS,
+  parseSpotifyUrl,
+  resolveSpotifyUrl,
+  toOpenUrl
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+
+// Discordトークンをサーバー側の鍵でAES-256-GCM暗号化して保持する
+// 暗号文の形式: v1:<鍵ID>:<IV>:<認証タグ>:<暗号文> (いずれもbase64)
+
+const VERSION = 'v1';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+function parseKey(encoded) {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`Token vault key must be ${KEY_LENGTH} bytes (base64 encoded)`);
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+class TokenVault {
+  // keys[0] が暗号化に使う現在の鍵、それ以降はローテーション前の古い鍵 (復号のみ)
+  constructor(keys) {
+    if (!keys || keys.length === 0) {
+      throw new Error('Token vault requires at least one key');
+    }
+
+    const entries = keys.map(key => [keyId(key), key]);
+    this.currentKeyId = entries[0][0];
+
+    // 鍵そのものはインスタンスのプロパティに出さない
+    const keyring = new Map(entries);
+    this.getKey = (id) => keyring.get(id);
+  }
+
+  // TOKEN_VAULT_KEY (カンマ区切り) か TOKEN_VAULT_KEY_FILE (1行1鍵) から鍵を読み込む
+  // required: 鍵がなければ例外にする (一時的な鍵では保存したトークンを次の起動で復号できないため)
+  static fromEnv(env = process.env, { required = false } = {}) {
+    let encodedKeys = [];
+
+    if (env.TOKEN_VAULT_KEY) {
+      encodedKeys = env.TOKEN_VAULT_KEY.split(',');
+    } else if (env.TOKEN_VAULT_KEY_FILE) {
+      encodedKeys = fs.readFileSync(env.TOKEN_VAULT_KEY_FILE, 'utf8').split('\n');
+    }
+
+    encodedKeys = encodedKeys.map(key => key.trim()).filter(Boolean);
+
+    if (encodedKeys.length === 0) {
+      if (required) {
+        throw new Error('TOKEN_VAULT_KEY or TOKEN_VAULT_KEY_FILE is required');
+      }
+      console.warn('TOKEN_VAULT_KEY is not set, using a temporary key (saved tokens cannot be decrypted after restart)');
+      return new TokenVault([crypto.randomBytes(KEY_LENGTH)]);
+    }
+
+    return new TokenVault(encodedKeys.map(parseKey));
+  }
+
+  static generateKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+  }
+
+  seal(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(this.currentKeyId), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [
+      VERSION,
+      this.currentKeyId,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      encrypted.toString('base64')
+    ].join(':');
+  }
+
+  // 平文はIDENTIFY/RESUMEの送信時にだけ取り出す
+  open(sealed) {
+    const [version, id, iv, tag, encrypted] = String(sealed).split(':');
+
+    if (version !== VERSION || !encrypted) {
+      throw new Error('Malformed sealed token');
+    }
+
+    const key = this.getKey(id);
+    if (!key) {
+      throw new Error(`Unknown token vault key: ${id}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  needsRotation(sealed) {
+    return String(sealed).split(':')[1] !== this.currentKeyId;
+  }
+
+  // 古い鍵で暗号化されたトークンを現在の鍵で暗号化し直す
+  rotate(sealed) {
+    if (!this.needsRotation(sealed)) {
+      return sealed;
+    }
+    return this.seal(this.open(sealed));
+  }
+
+  [util.inspect.custom]() {
+    return `TokenVault { currentKeyId: '${this.currentKeyId}' }`;
+  }
+}
+
+module.exports = { TokenVault };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// セッションごとの受信Webhook (CIやカレンダーなど外部ツールからステータスを変える)
+//   { id, name, template, ttlSeconds, sealedSecret, createdAt }
+//   template はアクティビティの形で、文字列中の {{path}} を受け取ったJSONの値で置き換える
+//   例: { type: '0', name: '🚀 {{status}}', details: '{{pipeline.name}}' }
+// 署名は X-Webhook-Signature: sha256=<hex> ("<X-Webhook-Timestamp>.<リクエストボディ>" のHMAC-SHA256)
+//   X-Webhook-Timestamp はUnix時間 (秒)。前後 SIGNATURE_TOLERANCE_SECONDS を外れたリクエストは再送とみなして拒否する
+
+const MAX_WEBHOOKS = 10;
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+function generateWebhookSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+}
+
+// now はテスト用 (ミリ秒)
+function verifySignature(secret, timestamp, body, signature, now = Date.now()) {
+  if (!secret || !body || typeof signature !== 'string' || !/^\d+$/.test(String(timestamp).trim())) return false;
+  if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signPayload(secret, String(timestamp).trim(), body));
+  const actual = Buffer.from(signature.trim());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isValidTtl(ttlSeconds) {
+  return Number.isInteger(ttlSeconds) && ttlSeconds > 0 && ttlSeconds <= MAX_TTL_SECONDS;
+}
+
+function validateWebhook(webhook) {
+  const errors = [];
+
+  if (!webhook || typeof webhook !== 'object') {
+    return ['Webhook must be an object'];
+  }
+
+  if (typeof webhook.name !== 'string' || !webhook.name.trim() || webhook.name.length > 64) {
+    errors.push('name must be 1-64 characters');
+  }
+  if (!webhook.template || typeof webhook.template !== 'object' || Array.isArray(webhook.template)) {
+    errors.push('template must be an activity object');
+  }
+  if (webhook.ttlSeconds !== undefined && webhook.ttlSeconds !== null && !isValidTtl(webhook.ttlSeconds)) {
+    errors.push(`ttlSeconds must be an integer between 1 and ${MAX_TTL_SECONDS}`);
+  }
+
+  return errors;
+}
+
+function lookup(payload, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    payload
+  );
+}
+
+// template 内の文字列の {{path}} を payload の値で置き換える (値がなければ空文字)
+function renderTemplate(template, payload) {
+  if (typeof template === 'string') {
+    return template.replace(PLACEHOLDER, (match, path) => {
+      const value = lookup(payload, path);
+      return value === undefined || value === null || typeof value === 'object' ? '' : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, payload));
+  }
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderTemplate(value, payload);
+    }
+    return rendered;
+  }
+  return template;
+}
+
+class WebhookRegistry {
+  constructor() {
+    this.webhooks = new Map();
+  }
+
+  // シークレットを除いた一覧
+  list() {
+    return Array.from(this.webhooks.values(), describeWebhook);
+  }
+
+  // 保存用 (暗号化済みのシークレットを含む)
+  records() {
+    return Array.from(this.webhooks.values());
+  }
+
+  get(webhookId) {
+    return this.webhooks.get(webhookId) || null;
+  }
+
+  set(webhookData, webhookId = crypto.randomBytes(6).toString('hex')) {
+    const existing = this.webhooks.get(webhookId);
+
+    if (!existing && this.webhooks.size >= MAX_WEBHOOKS) {
+      throw new Error(`At most ${MAX_WEBHOOKS} webhooks are allowed`);
+    }
+
+    const webhook = {
+      id: webhookId,
+      name: webhookData.name,
+      template: webhookData.template,
+      ttlSeconds: webhookData.ttlSeconds || null,
+      sealedSecret: webhookData.sealedSecret || (existing && existing.sealedSecret),
+      createdAt: webhookData.createdAt || (existing && existing.createdAt) || Date.now()
+    };
+
+    this.webhooks.set(webhookId, webhook);
+    return webhook;
+  }
+
+  remove(webhookId) {
+    return this.webhooks.delete(webhookId);
+  }
+}
+
+function describeWebhook(webhook) {
+  const { sealedSecret, ...rest } = webhook;
+  return rest;
+}
+
+module.exports = {
+  MAX_TTL_SECONDS,
+  SIGNATURE_HEADER,
+  SIGNATURE_TOLERANCE_SECONDS,
+  TIMESTAMP_HEADER,
+  WebhookRegistry,
+  describeWebhook,
+  generateWebhookSecret,
+  isValidTtl,
+  renderTemplate,
+  signPayload,
+  validateWebhook,
+  verifySignature
+};
@@ -1,33 +1,296 @@
 const getEl = (id) => document.getElementById(id);
 const tokenInput = getEl('token');
+const onlineStatusSelect = getEl('onlineStatus');
+const afkCheckbox = getEl('afk');
 const activityTypeSelect = getEl('activityType');
 const spotifyUrlInput = getEl('spotifyUrl');
+const largeImageUrlInput = getEl('largeImageUrl');
+const largeImageTextInput = getEl('largeImageText');
 const activityNameInput = getEl('activityName');
 const activityDetailsInput = getEl('activityDetails');
 const activityStateInput = getEl('activityState');
+const customEmojiInput = getEl('customEmoji');
+const clearAfterSelect = getEl('clearAfter');
+const streamUrlInput = getEl('streamUrl');
+const smallImageUrlInput = getEl('smallImageUrl');
+const smallImageTextInput = getEl('smallImageText');
+const timerModeSelect = getEl('timerMode');
+const timerMinutesInput = getEl('timerMinutes');
+const partySizeInput = getEl('partySize');
+const partyMaxInput = getEl('partyMax');
+const buttonInputs = [
+    { label: getEl('button1Label'), url: getEl('button1Url') },
+    { label: getEl('button2Label'), url: getEl('button2Url') }
+];
 const form = getEl('statusForm');
 const submitBtn = getEl('submitBtn');
+const addActivityBtn = getEl('addActivityBtn');
 const disconnectBtn = getEl('disconnectBtn');
+const forgetSessionBtn = getEl('forgetSessionBtn');
+const presetSelect = getEl('presetSelect');
+const presetLoadBtn = getEl('presetLoadBtn');
+const presetApplyBtn = getEl('presetApplyBtn');
+const presetSaveBtn = getEl('presetSaveBtn');
+const presetDeleteBtn = getEl('presetDeleteBtn');
+const presetExportBtn = getEl('presetExportBtn');
+const presetImportBtn = getEl('presetImportBtn');
+const presetImportFile = getEl('presetImportFile');
+const activityListEl = getEl('activityList');
+const previewCard = getEl('previewCard');
+const previewHeader = getEl('previewHeader');
+const previewLargeImage = getEl('previewLargeImage');
+const previewSmallImage = getEl('previewSmallImage');
+const previewName = getEl('previewName');
+const previewDetails = getEl('previewDetails');
+const previewState = getEl('previewState');
+const previewTimer = getEl('previewTimer');
+const previewProgress = getEl('previewProgress');
+const previewProgressBar = getEl('previewProgressBar');
+const previewButtons = getEl('previewButtons');
 const logEl = getEl('log');
 
 let sessionId = null;
+let sessionSecret = null;
+// localStorageに保存できたか (保存できなかった場合だけ閉じるときに警告する)
+let sessionStored = false;
 let statusCheckInterval = null;
 let ws = null;
 let wsReconnectAttempts = 0;
 const MAX_WS_RECONNECT_ATTEMPTS = 5;
+const SESSION_STORAGE_KEY = 'discordStatusSession';
+let activities = [];
+let editingActivityId = null;
+let presets = [];
+// サーバーのイベントログのうち表示済みの最後のseq
+let lastEventSeq = 0;
+// プレビュー用 (Spotifyの情報は入力が止まってから取得する)
+let previewSpotify = { url: '', info: null };
+let previewSpotifyTask = null;
+let previewStartedAt = Date.now();
 
-function appendLog(message) {
-    const timestamp = new Date().toLocaleTimeString('ja-JP');
+// プロフィールのアクティビティ欄の見出し (Custom Statusは別の表示)
+const ACTIVITY_TYPE_VERBS = {
+    '0': 'Playing',
+    '1': 'Streaming',
+    '2': 'Listening to',
+    '3': 'Watching',
+    '5': 'Competing in'
+};
+
+const ACTIVITY_TYPE_LABELS = {
+    '0': 'Playing',
+    '1': 'Streaming',
+    '2': 'Listening',
+    '3': 'Watching',
+    '4': 'Custom Status',
+    '5': 'Competing'
+};
+
+function appendLog(message, at = Date.now()) {
+    const timestamp = new Date(at).toLocaleTimeString('ja-JP');
     logEl.textContent += `\n[${timestamp}] ${message}`;
     logEl.parentElement.scrollTop = logEl.parentElement.scrollHeight;
 }
 
+function describeEvent(event) {
+    switch (event.type) {
+        case 'connect':
+            return event.resume ? 'Gatewayに接続 (RESUME)' : 'Gatewayに接続';
+        case 'ready':
+            return 'READY';
+        case 'resumed':
+            return 'RESUMED';
+        case 'close':
+            return `切断 (Code: ${event.code} ${event.reason})`;
+        case 'reconnect':
+            return `${Math.ceil(event.delay / 1000)}秒後に再接続 (${event.attempt}回目)`;
+        case 'reconnect_requested':
+            return 'Discordから再接続を要求されました';
+        case 'invalid_session':
+            return `セッションが無効になりました${event.resumable ? ' (RESUME可能)' : ''}`;
+        case 'presence':
+            return `プレゼンス送信 (${event.status}${event.activities.length > 0 ? `: ${event.activities.join(', ')}` : ''})`;
+        case 'failed':
+            return `接続を諦めました: ${event.reason}`;
+        case 'disconnected':
+            return 'セッションを終了しました';
+        case 'error':
+            return `エラー: ${event.message}`;
+        default:
+            return event.type;
+    }
+}
+
+// 再接続・再読み込みのたびに同じイベントを表示しないよう、新しいものだけ追加する
+function appendEvents(events) {
+    events
+        .filter(event => event.seq > lastEventSeq)
+        .forEach((event) => {
+            appendLog(`[server] ${describeEvent(event)}`, event.at);
+            lastEventSeq = event.seq;
+        });
+}
+
 function setControlsState(connected) {
-    submitBtn.textContent = connected ? 'ステータス更新' : 'ステータス設定';
+    if (editingActivityId) {
+        submitBtn.textContent = 'アクティビティを保存';
+    } else {
+        submitBtn.textContent = connected ? 'ステータス更新' : 'ステータス設定';
+    }
+    addActivityBtn.disabled = !connected;
+    [presetLoadBtn, presetApplyBtn, presetSaveBtn, presetDeleteBtn, presetExportBtn, presetImportBtn]
+        .forEach(button => { button.disabled = !connected; });
     disconnectBtn.disabled = !connected;
+    forgetSessionBtn.disabled = !connected;
     tokenInput.disabled = connected;
 }
 
+// リロードしても同じセッションに戻れるよう、IDとシークレットを保存しておく
+function saveSessionHandle() {
+    try {
+        localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ sessionId, sessionSecret }));
+        sessionStored = true;
+    } catch (error) {
+        console.error('セッションを保存できませんでした:', error);
+        sessionStored = false;
+    }
+}
+
+function loadSessionHandle() {
+    try {
+        const handle = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+        return handle && handle.sessionId && handle.sessionSecret ? handle : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function clearSessionHandle() {
+    try {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+    } catch (error) {
+        console.error('保存したセッションを削除できませんでした:', error);
+    }
+    sessionStored = false;
+}
+
+// サーバー側のセッションには触らずに、画面の状態だけを未接続に戻す
+function resetSessionState() {
+    clearSessionHandle();
+    sessionId = null;
+    sessionSecret = null;
+    editingActivityId = null;
+    setActivities([]);
+    presets = [];
+    renderPresetOptions();
+    setControlsState(false);
+    stopStatusCheck();
+    closeWebSocket();
+}
+
+function renderActivityList() {
+    activityListEl.innerHTML = '';
+
+    if (activities.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'activity-empty';
+        empty.textContent = 'アクティビティなし';
+        activityListEl.appendChild(empty);
+        return;
+    }
+
+    activities.forEach((activity) => {
+        const item = document.createElement('li');
+        item.className = activity.id === editingActivityId ? 'activity-item editing' : 'activity-item';
+
+        const label = document.createElement('span');
+        const title = activity.type === CUSTOM_STATUS_TYPE
+            ? [activity.emoji, activity.state].filter(Boolean).join(' ')
+            : activity.name;
+        label.textContent = `${ACTIVITY_TYPE_LABELS[activity.type] || activity.type}: ${title}`;
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.textContent = activity.id === editingActivityId ? 'やめる' : '編集';
+        editBtn.addEventListener('click', () => {
+            if (activity.id === editingActivityId) {
+                stopEditing();
+            } else {
+                startEditing(activity);
+            }
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'disconnect-btn';
+        deleteBtn.textContent = '削除';
+        deleteBtn.addEventListener('click', () => deleteActivity(activity.id));
+
+        item.append(label, editBtn, deleteBtn);
+        activityListEl.appendChild(item);
+    });
+}
+
+function setActivities(list) {
+    activities = list || [];
+    if (editingActivityId && !activities.some(activity => activity.id === editingActivityId)) {
+        editingActivityId = null;
+        setControlsState(Boolean(sessionId));
+    }
+    renderActivityList();
+}
+
+// 保存済みのアクティビティをフォームに戻す
+function fillForm(activity) {
+    activityTypeSelect.value = activity.type || '0';
+    activityNameInput.value = activity.name || '';
+    activityDetailsInput.value = activity.details || '';
+    activityStateInput.value = activity.state || '';
+    customEmojiInput.value = activity.emoji || '';
+    clearAfterSelect.value = '';
+    streamUrlInput.value = activity.url || '';
+    smallImageUrlInput.value = activity.smallImageUrl || '';
+    smallImageTextInput.value = activity.smallImageText || '';
+    timerModeSelect.value = activity.endTimestamp ? 'remaining' : activity.startTimestamp ? 'elapsed' : 'none';
+    timerMinutesInput.value = activity.endTimestamp
+        ? Math.max(1, Math.round((activity.endTimestamp - Date.now()) / 60000))
+        : '';
+    partySizeInput.value = activity.partySize || '';
+    partyMaxInput.value = activity.partyMax || '';
+    buttonInputs.forEach(({ label, url }, index) => {
+        const button = (activity.buttons || [])[index];
+        label.value = button ? button.label : '';
+        url.value = button ? button.url : '';
+    });
+    spotifyUrlInput.value = '';
+    largeImageUrlInput.value = activity.imageUrl || '';
+    largeImageTextInput.value = activity.imageText || '';
+    previewStartedAt = Date.now();
+    updatePreview();
+}
+
+function startEditing(activity) {
+    editingActivityId = activity.id;
+    fillForm(activity);
+    setControlsState(true);
+    renderActivityList();
+    appendLog('アクティビティを編集中...');
+}
+
+function stopEditing() {
+    editingActivityId = null;
+    setControlsState(Boolean(sessionId));
+    renderActivityList();
+}
+
+function sessionHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${sessionSecret}`,
+        'X-Session-Id': sessionId
+    };
+}
+
 function initWebSocket() {
     if (ws && ws.readyState === WebSocket.OPEN) {
         return;
@@ -45,7 +308,8 @@ function initWebSocket() {
         if (sessionId) {
             ws.send(JSON.stringify({
                 type: 'register',
-                sessionId: sessionId
+                sessionId: sessionId,
+                sessionSecret: sessionSecret
             }));
         }
     };
@@ -67,12 +331,29 @@ function initWebSocket() {
                     appendLog(data.message);
                     break;
 
+                case 'discord_failed':
+                    appendLog(`Discord接続に失敗しました: ${data.message}`);
+                    stopStatusCheck();
+                    break;
+
                 case 'status_updated':
-                    appendLog('ステータスが更新されました');
+                    appendLog(`ステータスが更新されました (${data.onlineStatus})`);
+                    setActivities(data.activities);
+                    break;
+
+                case 'error':
+                    appendLog(`エラー: ${data.message}`);
+                    break;
+
+                case 'events':
+                    appendEvents(data.events);
                     break;
 
                 case 'status':
-                    if (!data.connected && sessionId) {
+                    setActivities(data.activities);
+                    if (data.state === 'failed') {
+                        appendLog(`Discord接続に失敗しました: ${data.failureReason}`);
+                    } else if (!data.connected && sessionId) {
                         appendLog('Discord接続が切断されています');
                     }
                     break;
@@ -130,12 +411,16 @@ async function connectToServer() {
 
         if (response.ok) {
             sessionId = data.sessionId;
+            sessionSecret = data.sessionSecret;
+            lastEventSeq = 0;
+            saveSessionHandle();
             appendLog('接続に成功しました');
             appendLog(`Session ID: ${sessionId}`);
             setControlsState(true);
 
             // WebSocket接続を開始
             initWebSocket();
+            loadPresets();
 
             startStatusCheck();
 
@@ -159,7 +444,7 @@ async function fetchSpotifyInfo(url) {
         const data = await response.json();
 
         if (response.ok) {
-            appendLog(`曲情報取得: ${data.songName} - ${data.artistName}`);
+            appendLog(`曲情報取得: ${data.songName} - ${data.artistName}${data.cached ? ' (キャッシュ)' : ''}`);
             return data;
         } else {
             appendLog(`Spotify情報取得エラー: ${data.error}`);
@@ -171,19 +456,97 @@ async function fetchSpotifyInfo(url) {
     }
 }
 
-async function updateStatus() {
-    if (!sessionId) {
-        appendLog('先に接続してね');
-        return;
+const CUSTOM_STATUS_TYPE = '4';
+
+// 「Clear After」の選択肢からクリアする時刻を計算する
+function computeExpiresAt(option) {
+    const now = new Date();
+
+    switch (option) {
+        case '30m':
+            return now.getTime() + 30 * 60 * 1000;
+        case '1h':
+            return now.getTime() + 60 * 60 * 1000;
+        case '4h':
+            return now.getTime() + 4 * 60 * 60 * 1000;
+        case 'today':
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+        default:
+            return null;
+    }
+}
+
+function hasActivity(activity) {
+    if (activity.type === CUSTOM_STATUS_TYPE) {
+        return Boolean(activity.state || activity.emoji);
+    }
+    return Boolean(activity.name);
+}
+
+// タイマー・パーティー・ボタンなどの追加項目をactivityに反映する
+function applyExtraFields(activity) {
+    const emoji = customEmojiInput.value.trim();
+    if (emoji) {
+        activity.emoji = emoji;
     }
 
-    let activity = {
+    const expiresAt = computeExpiresAt(clearAfterSelect.value);
+    if (expiresAt) {
+        activity.expiresAt = expiresAt;
+    }
+
+    const streamUrl = streamUrlInput.value.trim();
+    if (streamUrl) {
+        activity.url = streamUrl;
+    }
+
+    const smallImageUrl = smallImageUrlInput.value.trim();
+    if (smallImageUrl) {
+        activity.smallImageUrl = smallImageUrl;
+        activity.smallImageText = smallImageTextInput.value.trim();
+    }
+
+    const now = Date.now();
+    if (timerModeSelect.value === 'elapsed') {
+        activity.startTimestamp = now;
+    } else if (timerModeSelect.value === 'remaining') {
+        const minutes = parseInt(timerMinutesInput.value);
+        if (minutes > 0) {
+            activity.startTimestamp = now;
+            activity.endTimestamp = now + minutes * 60 * 1000;
+        }
+    }
+
+    if (partySizeInput.value && partyMaxInput.value) {
+        activity.partySize = parseInt(partySizeInput.value);
+        activity.partyMax = parseInt(partyMaxInput.value);
+    }
+
+    const buttons = buttonInputs
+        .map(({ label, url }) => ({ label: label.value.trim(), url: url.value.trim() }))
+        .filter(button => button.label && button.url);
+    if (buttons.length > 0) {
+        activity.buttons = buttons;
+    }
+}
+
+async function buildActivityFromForm() {
+    const activity = {
         name: activityNameInput.value.trim(),
         type: activityTypeSelect.value,
         details: activityDetailsInput.value.trim(),
         state: activityStateInput.value.trim()
     };
 
+    applyExtraFields(activity);
+
+    // 画像URLを指定した場合はSpotifyのジャケットより優先する
+    const largeImageUrl = largeImageUrlInput.value.trim();
+    if (largeImageUrl) {
+        activity.imageUrl = largeImageUrl;
+        activity.imageText = largeImageTextInput.value.trim();
+    }
+
     const spotifyUrl = spotifyUrlInput.value.trim();
     if (spotifyUrl) {
         const spotifyInfo = await fetchSpotifyInfo(spotifyUrl);
@@ -195,31 +558,326 @@ async function updateStatus() {
             if (!activity.state) {
                 activity.state = `by ${spotifyInfo.artistName}`;
             }
-            if (spotifyInfo.spotifyImageId) {
+            if (spotifyInfo.spotifyImageId && !activity.imageUrl) {
                 activity.imageUrl = `spotify:${spotifyInfo.spotifyImageId}`;
                 activity.imageText = spotifyInfo.songName;
             }
         }
     }
 
+    return activity;
+}
+
+// 1:05 や 1:02:03 の形式
+function formatClock(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60) % 60;
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// spotify:<画像id> はSpotifyのCDNのURLに戻す
+function previewImageSource(value) {
+    if (value.startsWith('spotify:')) {
+        return `https://i.scdn.co/image/${value.slice('spotify:'.length)}`;
+    }
+    return /^https:\/\//.test(value) ? value : null;
+}
+
+function setPreviewImage(img, src, title) {
+    img.hidden = !src;
+    if (src) {
+        img.src = src;
+        img.title = title;
+    } else {
+        img.removeAttribute('src');
+    }
+}
+
+// プレビューではログに出さずにSpotifyの情報を取得する
+async function lookupSpotifyForPreview(url) {
+    try {
+        const response = await fetch(`/api/spotify-info?url=${encodeURIComponent(url)}`);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function schedulePreviewSpotifyLookup() {
+    const url = spotifyUrlInput.value.trim();
+    if (url === previewSpotify.url) {
+        return;
+    }
+
+    clearTimeout(previewSpotifyTask);
+    if (!url) {
+        previewSpotify = { url: '', info: null };
+        return;
+    }
+
+    previewSpotifyTask = setTimeout(async () => {
+        const info = await lookupSpotifyForPreview(url);
+        // 取得中に書き換えられていたら捨てる
+        if (spotifyUrlInput.value.trim() === url) {
+            previewSpotify = { url, info };
+            renderPreview();
+        }
+    }, 500);
+}
+
+// 送るときは送った時刻から数えるので、プレビューではタイマーを設定した時刻から数える
+function renderPreviewTimer() {
+    const now = Date.now();
+    const minutes = parseInt(timerMinutesInput.value);
+    const remaining = timerModeSelect.value === 'remaining' && minutes > 0;
+    const elapsed = now - previewStartedAt;
+
+    previewProgress.hidden = !(remaining && activityTypeSelect.value === '2');
+
+    if (timerModeSelect.value === 'elapsed') {
+        previewTimer.textContent = `${formatClock(elapsed)} elapsed`;
+    } else if (remaining) {
+        const total = minutes * 60 * 1000;
+        if (previewProgress.hidden) {
+            previewTimer.textContent = `${formatClock(total - elapsed)} left`;
+        } else {
+            previewTimer.textContent = `${formatClock(Math.min(elapsed, total))} / ${formatClock(total)}`;
+            previewProgressBar.style.width = `${Math.min(100, elapsed / total * 100)}%`;
+        }
+    } else {
+        previewTimer.textContent = '';
+    }
+}
+
+// フォームの内容から、送信したときの見た目を組み立てる
+function renderPreview() {
+    const type = activityTypeSelect.value;
+    const spotifyInfo = previewSpotify.info;
+    const name = activityNameInput.value.trim() || (spotifyInfo ? spotifyInfo.songName : '');
+    const details = activityDetailsInput.value.trim();
+    let state = activityStateInput.value.trim() || (spotifyInfo ? `by ${spotifyInfo.artistName}` : '');
+    const emoji = customEmojiInput.value.trim().replace(/^<a?:(\w+):\d+>$/, ':$1:');
+
+    if (!hasActivity({ type, name, state, emoji })) {
+        previewCard.classList.add('empty');
+        previewHeader.textContent = 'アクティビティなし';
+        return;
+    }
+    previewCard.classList.remove('empty');
+
+    if (type === CUSTOM_STATUS_TYPE) {
+        previewHeader.textContent = 'Custom Status';
+        setPreviewImage(previewLargeImage, null);
+        setPreviewImage(previewSmallImage, null);
+        previewName.textContent = [emoji, state].filter(Boolean).join(' ');
+        previewDetails.textContent = '';
+        previewState.textContent = '';
+        previewTimer.textContent = '';
+        previewProgress.hidden = true;
+        previewButtons.innerHTML = '';
+        return;
+    }
+
+    previewHeader.textContent = `${ACTIVITY_TYPE_VERBS[type]} ${name}`;
+
+    // 画像URLを指定した場合はSpotifyのジャケットより優先する (buildActivityFromFormと同じ)
+    const largeImageUrl = largeImageUrlInput.value.trim();
+    if (largeImageUrl) {
+        setPreviewImage(previewLargeImage, previewImageSource(largeImageUrl), largeImageTextInput.value.trim());
+    } else {
+        setPreviewImage(previewLargeImage, spotifyInfo && spotifyInfo.thumbnailUrl, spotifyInfo ? spotifyInfo.songName : '');
+    }
+    setPreviewImage(previewSmallImage, previewImageSource(smallImageUrlInput.value.trim()), smallImageTextInput.value.trim());
+
+    const partySize = parseInt(partySizeInput.value);
+    const partyMax = parseInt(partyMaxInput.value);
+    if (state && partySize > 0 && partyMax > 0) {
+        state += ` (${partySize} of ${partyMax})`;
+    }
+
+    previewName.textContent = name;
+    previewDetails.textContent = details;
+    previewState.textContent = state;
+    renderPreviewTimer();
+
+    previewButtons.innerHTML = '';
+    buttonInputs
+        .map(({ label }) => label.value.trim())
+        .filter(Boolean)
+        .forEach((label) => {
+            const button = document.createElement('span');
+            button.textContent = label;
+            previewButtons.appendChild(button);
+        });
+}
+
+function updatePreview() {
+    schedulePreviewSpotifyLookup();
+    renderPreview();
+}
+
+async function updateStatus() {
+    if (!sessionId) {
+        appendLog('先に接続してね');
+        return;
+    }
+
+    const activity = await buildActivityFromForm();
+
     try {
         appendLog('ステータスを更新中...');
 
         const response = await fetch('/api/update-status', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: sessionHeaders(),
+            body: JSON.stringify({
+                sessionId,
+                activity: hasActivity(activity) ? activity : {},
+                onlineStatus: onlineStatusSelect.value,
+                afk: afkCheckbox.checked
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            appendLog(hasActivity(activity) ? 'ステータスを更新しました' : 'ステータスをクリアしました');
+        } else {
+            appendLog(`更新エラー: ${data.error}`);
+            if (data.details) {
+                data.details.forEach(detail => appendLog(`  - ${detail}`));
+            }
+        }
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+// activityIdを省略すると新しく追加する
+async function saveActivity(activityId) {
+    if (!sessionId) {
+        appendLog('先に接続してね');
+        return;
+    }
+
+    const activity = await buildActivityFromForm();
+    const path = activityId
+        ? `/api/sessions/${sessionId}/activities/${activityId}`
+        : `/api/sessions/${sessionId}/activities`;
+
+    try {
+        const response = await fetch(path, {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify({ activity })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            appendLog(activityId ? 'アクティビティを保存しました' : 'アクティビティを追加しました');
+            editingActivityId = null;
+            setControlsState(true);
+            setActivities(data.activities);
+        } else {
+            appendLog(`保存エラー: ${data.error}`);
+            if (data.details) {
+                data.details.forEach(detail => appendLog(`  - ${detail}`));
+            }
+        }
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+async function deleteActivity(activityId) {
+    try {
+        const response = await fetch(`/api/sessions/${sessionId}/activities/${activityId}`, {
+            method: 'DELETE',
+            headers: sessionHeaders()
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            appendLog('アクティビティを削除しました');
+            setActivities(data.activities);
+        } else {
+            appendLog(`削除エラー: ${data.error}`);
+        }
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+function renderPresetOptions() {
+    const selected = presetSelect.value;
+    presetSelect.innerHTML = '<option value="">プリセットを選択</option>';
+
+    presets.forEach((preset) => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        presetSelect.appendChild(option);
+    });
+
+    presetSelect.value = presets.some(preset => preset.id === selected) ? selected : '';
+}
+
+function selectedPreset() {
+    const preset = presets.find(preset => preset.id === presetSelect.value);
+    if (!preset) {
+        appendLog('プリセットを選んでね');
+    }
+    return preset;
+}
+
+async function loadPresets() {
+    try {
+        const response = await fetch('/api/presets', { headers: sessionHeaders() });
+        const data = await response.json();
+
+        if (response.ok) {
+            presets = data.presets;
+            renderPresetOptions();
+        } else {
+            appendLog(`プリセット取得エラー: ${data.error}`);
+        }
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+function loadPresetIntoForm() {
+    const preset = selectedPreset();
+    if (preset) {
+        fillForm(preset.activity);
+        appendLog(`プリセット「${preset.name}」を読み込みました`);
+    }
+}
+
+async function applyPreset() {
+    const preset = selectedPreset();
+    if (!preset) return;
+
+    try {
+        const response = await fetch('/api/update-status', {
+            method: 'POST',
+            headers: sessionHeaders(),
             body: JSON.stringify({
                 sessionId,
-                activity: activity.name ? activity : {}
+                presetId: preset.id,
+                onlineStatus: onlineStatusSelect.value,
+                afk: afkCheckbox.checked
             })
         });
 
         const data = await response.json();
 
         if (response.ok) {
-            appendLog(activity.name ? 'ステータスを更新しました' : 'ステータスをクリアしました');
+            appendLog(`プリセット「${preset.name}」を適用しました`);
         } else {
             appendLog(`更新エラー: ${data.error}`);
         }
@@ -228,6 +886,117 @@ async function updateStatus() {
     }
 }
 
+async function savePreset() {
+    const current = presets.find(preset => preset.id === presetSelect.value);
+    const name = window.prompt('プリセットの名前', current ? current.name : activityNameInput.value.trim());
+    if (!name) return;
+
+    const activity = await buildActivityFromForm();
+    // 保存した時刻に固定されてしまうので、時刻系の項目はプリセットに含めない
+    delete activity.startTimestamp;
+    delete activity.endTimestamp;
+    delete activity.expiresAt;
+
+    // 同じ名前のプリセットがあれば上書きする
+    const existing = presets.find(preset => preset.name === name);
+    const path = existing ? `/api/presets/${existing.id}` : '/api/presets';
+
+    try {
+        const response = await fetch(path, {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify({ name, activity })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            appendLog(`プリセット「${name}」を保存しました`);
+            await loadPresets();
+            presetSelect.value = data.preset.id;
+        } else {
+            appendLog(`保存エラー: ${data.error}`);
+            if (data.details) {
+                data.details.forEach(detail => appendLog(`  - ${detail}`));
+            }
+        }
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+async function deletePreset() {
+    const preset = selectedPreset();
+    if (!preset || !window.confirm(`プリセット「${preset.name}」を削除する？`)) return;
+
+    try {
+        const response = await fetch(`/api/presets/${preset.id}`, {
+            method: 'DELETE',
+            headers: sessionHeaders()
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            appendLog(`プリセット「${preset.name}」を削除しました`);
+            presets = data.presets;
+            renderPresetOptions();
+        } else {
+            appendLog(`削除エラー: ${data.error}`);
+        }
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+async function exportPresets() {
+    try {
+        const response = await fetch('/api/presets/export', { headers: sessionHeaders() });
+        const data = await response.json();
+
+        if (!response.ok) {
+            appendLog(`エクスポートエラー: ${data.error}`);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'presets.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+        appendLog(`${data.presets.length}件のプリセットをエクスポートしました`);
+    } catch (error) {
+        appendLog(`ネットワークエラー: ${error.message}`);
+    }
+}
+
+async function importPresets(file) {
+    try {
+        const imported = JSON.parse(await file.text());
+        const response = await fetch('/api/presets/import', {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify({ presets: imported.presets || imported })
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            presets = data.presets;
+            renderPresetOptions();
+            appendLog('プリセットをインポートしました');
+        } else {
+            appendLog(`インポートエラー: ${data.error}`);
+            if (data.details) {
+                data.details.forEach(detail => appendLog(`  - ${detail}`));
+            }
+        }
+    } catch (error) {
+        appendLog(`インポートエラー: ${error.message}`);
+    }
+}
+
 async function disconnect() {
     if (!sessionId) {
         return;
@@ -238,9 +1007,7 @@ async function disconnect() {
 
         const response = await fetch('/api/disconnect', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers: sessionHeaders(),
             body: JSON.stringify({ sessionId })
         });
 
@@ -248,10 +1015,7 @@ async function disconnect() {
 
         if (response.ok) {
             appendLog('切断しました');
-            sessionId = null;
-            setControlsState(false);
-            stopStatusCheck();
-            closeWebSocket();
+            resetSessionState();
         } else {
             appendLog(`切断エラー: ${data.error}`);
         }
@@ -260,6 +1024,66 @@ async function disconnect() {
     }
 }
 
+function forgetSession() {
+    if (!sessionId || !window.confirm('このブラウザからセッションを忘れる？ (サーバー側は切断されないよ)')) {
+        return;
+    }
+
+    resetSessionState();
+    appendLog('セッションを忘れました');
+}
+
+// 保存しておいたセッションがサーバーに残っていれば、フォームとWebSocketを元に戻す
+async function restoreSession() {
+    const handle = loadSessionHandle();
+    if (!handle) {
+        return;
+    }
+
+    try {
+        appendLog('前回のセッションを確認中...');
+
+        const response = await fetch(`/api/status/${handle.sessionId}`, {
+            headers: {
+                'Authorization': `Bearer ${handle.sessionSecret}`,
+                'X-Session-Id': handle.sessionId
+            }
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            appendLog(`前回のセッションは使えません: ${data.error}`);
+            clearSessionHandle();
+            return;
+        }
+
+        sessionId = handle.sessionId;
+        sessionSecret = handle.sessionSecret;
+        sessionStored = true;
+        lastEventSeq = 0;
+        appendLog(`前回のセッションに戻りました (Session ID: ${sessionId})`);
+
+        onlineStatusSelect.value = data.onlineStatus;
+        afkCheckbox.checked = data.afk;
+        if (data.currentActivity) {
+            fillForm(data.currentActivity);
+        }
+        setActivities(data.activities);
+        setControlsState(true);
+
+        if (data.state === 'failed') {
+            appendLog(`Discord接続に失敗しています: ${data.failureReason}`);
+        }
+
+        initWebSocket();
+        loadPresets();
+        startStatusCheck();
+    } catch (error) {
+        // サーバーに繋がらないだけならセッションは残っているかもしれないので、保存したままにする
+        appendLog(`前回のセッションを確認できませんでした: ${error.message}`);
+    }
+}
+
 function startStatusCheck() {
     if (statusCheckInterval) {
         clearInterval(statusCheckInterval);
@@ -272,10 +1096,21 @@ function startStatusCheck() {
         }
 
         try {
-            const response = await fetch(`/api/status/${sessionId}`);
+            const response = await fetch(`/api/status/${sessionId}`, {
+                headers: sessionHeaders()
+            });
             const data = await response.json();
 
-            if (!data.connected && sessionId) {
+            if (response.status === 401 || response.status === 404) {
+                appendLog(`セッションが終了しています: ${data.error}`);
+                resetSessionState();
+            } else if (!response.ok) {
+                appendLog(`ステータス確認エラー: ${data.error}`);
+                stopStatusCheck();
+            } else if (data.state === 'failed') {
+                appendLog(`Discord接続に失敗しました: ${data.failureReason}`);
+                stopStatusCheck();
+            } else if (!data.connected && sessionId) {
                 appendLog('接続が切断されました。再接続中...');
             }
         } catch (error) {
@@ -294,20 +1129,51 @@ function stopStatusCheck() {
 form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    if (sessionId) {
+    if (sessionId && editingActivityId) {
+        await saveActivity(editingActivityId);
+    } else if (sessionId) {
         await updateStatus();
     } else {
         await connectToServer();
     }
 });
 
+addActivityBtn.addEventListener('click', () => saveActivity(null));
+presetLoadBtn.addEventListener('click', loadPresetIntoForm);
+presetApplyBtn.addEventListener('click', applyPreset);
+presetSaveBtn.addEventListener('click', savePreset);
+presetDeleteBtn.addEventListener('click', deletePreset);
+presetExportBtn.addEventListener('click', exportPresets);
+presetImportBtn.addEventListener('click', () => presetImportFile.click());
+presetImportFile.addEventListener('change', () => {
+    if (presetImportFile.files[0]) {
+        importPresets(presetImportFile.files[0]);
+        presetImportFile.value = '';
+    }
+});
 disconnectBtn.addEventListener('click', disconnect);
+forgetSessionBtn.addEventListener('click', forgetSession);
+form.addEventListener('input', (e) => {
+    if (e.target === timerModeSelect || e.target === timerMinutesInput) {
+        previewStartedAt = Date.now();
+    }
+    updatePreview();
+});
+setInterval(() => {
+    if (!previewCard.classList.contains('empty') && activityTypeSelect.value !== CUSTOM_STATUS_TYPE) {
+        renderPreviewTimer();
+    }
+}, 1000);
 
 setControlsState(false);
+renderActivityList();
+renderPreview();
 appendLog('アイコン設定できるよ、それだけ');
+restoreSession();
 
+// 保存できていれば開き直したときに戻れるので、警告するのは保存できなかった場合だけ
 window.addEventListener('beforeunload', (e) => {
-    if (sessionId) {
+    if (sessionId && !sessionStored) {
         e.preventDefault();
         e.returnValue = '切断ボタン押さないと接続され続けるよ';
     }
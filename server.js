@@ -3,80 +3,378 @@ const WebSocket = require('ws');
 const path = require('path');
 const fetch = require('node-fetch');
 const http = require('http');
+const {
+  CLOSE_ACTION,
+  ReconnectPolicy,
+  classifyCloseCode,
+  describeCloseCode
+} = require('./lib/reconnect-policy');
+const { SessionStore } = require('./lib/session-store');
+const { TokenVault } = require('./lib/token-vault');
+const {
+  generateSessionId,
+  generateSessionSecret,
+  hashSecret,
+  safeEqual,
+  verifySecret,
+  readBearerToken
+} = require('./lib/auth');
+const {
+  LIMITS,
+  ONLINE_STATUSES,
+  generateActivityId,
+  isCustomStatus,
+  validateActivity,
+  buildActivity
+} = require('./lib/activity');
+const { buildPresencePayload } = require('./lib/presence');
+const { GatewayTransport, createDispatchFilter, validateTransportOptions } = require('./lib/gateway-transport');
+const { GatewayProfile } = require('./lib/gateway-profile');
+const { Scheduler, validateScheduleEntry } = require('./lib/scheduler');
+const { PresetStore, validatePreset } = require('./lib/preset-store');
+const { EventLog } = require('./lib/event-log');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, Registry } = require('./lib/metrics');
+const { SpotifyLookup, SpotifyLookupError } = require('./lib/spotify-lookup');
+const {
+  ImageResolver,
+  createSpotifyImageSource,
+  createExternalImageSource
+} = require('./lib/image-sources');
+const {
+  NOW_PLAYING_ACTIVITY_ID,
+  DEFAULT_LASTFM_API_URL,
+  LastFmPoller,
+  isSamePlayback,
+  trackToActivity,
+  validateTrack
+} = require('./lib/now-playing');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  WebhookRegistry,
+  describeWebhook,
+  generateWebhookSecret,
+  isValidTtl,
+  renderTemplate,
+  validateWebhook,
+  verifySignature
+} = require('./lib/webhooks');
+const {
+  MAX_COUNTERS,
+  VAR_NAME,
+  isTemplated,
+  mergeVars,
+  renderActivity,
+  validateVars
+} = require('./lib/activity-template');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 const PORT = process.env.PORT || 3000;
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 10;
+// テストでは tools/mock-gateway.js に向ける
+const DISCORD_GATEWAY_URL = process.env.DISCORD_GATEWAY_URL || 'wss://gateway.discord.gg';
+// Gatewayのエンコード (json / etf) と圧縮 (zlib-stream、指定しなければ圧縮なし)
+const GATEWAY_TRANSPORT = {
+  encoding: process.env.GATEWAY_ENCODING || 'json',
+  compress: process.env.GATEWAY_COMPRESS || null
+};
+const gatewayTransportErrors = validateTransportOptions(GATEWAY_TRANSPORT);
+if (gatewayTransportErrors.length > 0) {
+  throw new Error(`Invalid Gateway transport: ${gatewayTransportErrors.join(', ')}`);
+}
+// 本体までデコードするdispatchイベント (カンマ区切り、"*" なら全部)。READYとRESUMEDは常に含む
+const GATEWAY_DISPATCH_FILTER = createDispatchFilter(process.env.GATEWAY_DISPATCH_EVENTS || 'READY,RESUMED');
+// 1にするとイベントの種類ごとの受信量とデコード時間を集計する (/api/sessions/:sessionId/profile)
+const GATEWAY_PROFILE = process.env.GATEWAY_PROFILE === '1';
+// オンライン状態を維持するためにプレゼンスを再送する間隔 (デフォルトは1分)
+const KEEP_ALIVE_INTERVAL = parseInt(process.env.KEEP_ALIVE_INTERVAL_MS) || 60 * 1000;
+// DATA_DIRを指定した場合のみセッションをファイルに保存する
+const DATA_DIR = process.env.DATA_DIR;
+// セッションごとに残すイベントログの件数 (DATA_DIRを指定した場合は events/ にも書き出す)
+const EVENT_LOG_SIZE = parseInt(process.env.EVENT_LOG_SIZE) || 500;
+const RECENT_EVENTS_ON_REGISTER = 100;
+// /api/sessions 用の管理者キー (未設定なら無効)
+const ADMIN_KEY = process.env.ADMIN_KEY;
 
 const activeConnections = new Map();
 const clientWebSockets = new Map();
-
-app.use(express.json());
-app.use(express.static('public'));
-
-function extractSpotifyImageId(url) {
-  if (!url) return null;
-
-  if (url.startsWith('https://i.scdn.co/image/')) {
-    return url.split('/').pop();
+const sessionStore = DATA_DIR ? new SessionStore(DATA_DIR) : null;
+// DATA_DIRに保存する場合、鍵がないと再起動後に復号できずセッションを失うので起動しない
+const tokenVault = TokenVault.fromEnv(process.env, { required: Boolean(DATA_DIR) });
+const presetStore = new PresetStore(DATA_DIR || null);
+const spotifyLookup = new SpotifyLookup({
+  fetch,
+  oembedUrl: process.env.SPOTIFY_OEMBED_URL || undefined,
+  timeoutMs: parseInt(process.env.SPOTIFY_TIMEOUT_MS) || undefined
+});
+// 外部画像は DISCORD_APPLICATION_ID のアプリのexternal-assetsとして登録する
+const imageResolver = new ImageResolver([
+  createSpotifyImageSource(),
+  createExternalImageSource({
+    fetch,
+    apiUrl: process.env.DISCORD_API_URL || undefined,
+    applicationId: process.env.DISCORD_APPLICATION_ID
+  })
+]);
+// 設定されている画像ソースで解決できない画像URLは、受け付けた時点で400にする
+const activityValidation = { supportsImage: url => imageResolver.supports(url) };
+// Last.fm互換APIのデフォルトの接続先 (セッションごとに apiUrl で上書きできる)
+const LASTFM_API_URL = process.env.LASTFM_API_URL || undefined;
+// apiUrl はサーバーからリクエストするので、内部のアドレスに向けられないよう許可したホストに限る
+// (LASTFM_API_HOSTS にカンマ区切りで他のLast.fm互換サービスを追加できる)
+const LASTFM_API_HOSTS = new Set(
+  [DEFAULT_LASTFM_API_URL, LASTFM_API_URL, ...(process.env.LASTFM_API_HOSTS || '').split(',')]
+    .filter(value => value && value.trim())
+    .map(value => (value.includes('://') ? new URL(value).hostname : value.trim()).toLowerCase())
+);
+// {time} などのプレースホルダーのタイムゾーン (未設定ならサーバーのローカル時刻)
+const TEMPLATE_TIME_ZONE = process.env.TEMPLATE_TIME_ZONE || undefined;
+// 不正なタイムゾーンだと展開のたびに例外になるので、起動時に確認する
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone: TEMPLATE_TIME_ZONE });
+} catch (error) {
+  throw new Error(`Invalid TEMPLATE_TIME_ZONE: ${TEMPLATE_TIME_ZONE}`);
+}
+// プレースホルダーを展開し直す間隔 (Discordのレート制限を考えて15秒未満にはしない)
+const TEMPLATE_RENDER_INTERVAL = Math.max(parseInt(process.env.TEMPLATE_RENDER_INTERVAL) || 30, 15) * 1000;
+
+// /metrics で出力するメトリクス
+const metrics = new Registry();
+const SESSION_STATES = ['connecting', 'connected', 'reconnecting', 'failed', 'disconnected'];
+metrics.gauge('discord_status_sessions', 'Active sessions by connection state', () => {
+  const counts = Object.fromEntries(SESSION_STATES.map(state => [state, 0]));
+  for (const connection of activeConnections.values()) {
+    counts[connection.state] = (counts[connection.state] || 0) + 1;
   }
-
-  if (url.startsWith('spotify:')) {
-    return url.split(':').pop();
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+const reconnectsTotal = metrics.counter(
+  'discord_status_reconnects_total',
+  'Gateway reconnects by close code'
+);
+const heartbeatLatency = metrics.histogram(
+  'discord_status_heartbeat_ack_latency_seconds',
+  'Time between a heartbeat (op 1) and its ACK (op 11)',
+  [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+const presenceUpdatesTotal = metrics.counter(
+  'discord_status_presence_updates_total',
+  'Presence updates (op 3) sent to the Gateway'
+);
+const spotifyLookupDuration = metrics.histogram(
+  'discord_status_spotify_lookup_duration_seconds',
+  'Spotify lookup latency by result (hit, miss, error)'
+);
+const spotifyLookupErrorsTotal = metrics.counter(
+  'discord_status_spotify_lookup_errors_total',
+  'Failed Spotify lookups by response status'
+);
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => [
+  { labels: {}, value: process.memoryUsage().rss }
+]);
+metrics.gauge('process_uptime_seconds', 'Process uptime in seconds', () => [
+  { labels: {}, value: Math.floor(process.uptime()) }
+]);
+// 保存済みセッションの復元を始めたら true (/readyz)
+let serverReady = false;
+
+// 受信Webhookの署名検証用に元のボディも残しておく
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
   }
-
-  return null;
-}
+}));
+app.use(express.static('public'));
 
 class DiscordConnection {
-  constructor(token, sessionId) {
-    this.token = token;
+  // sealedToken は tokenVault.seal() で暗号化済みのトークン
+  constructor(sealedToken, sessionId) {
+    this.sealedToken = sealedToken;
     this.sessionId = sessionId;
-    this.ws = null;
+    this.secretHash = null;
+    this.gateway = null;
     this.heartbeatTask = null;
+    // op 1 を送ってから op 11 を受け取るまでの時間を測る
+    this.stopHeartbeatTimer = null;
     this.lastSequence = null;
     this.heartbeatAcked = true;
     this.shouldReconnect = true;
-    this.currentActivity = null;
+    // connect() が待っている間の { resolve, reject } (途中で再接続してもREADY/RESUMEDかfail()まで保持する)
+    this.pendingConnect = null;
+    // 表示する順番に並んだアクティビティ ({ id, ...activityData })
+    this.activities = [];
+    this.onlineStatus = 'online';
+    this.afk = false;
     this.keepAliveTask = null;
+    this.expiryTask = null;
+    this.presenceQueue = Promise.resolve();
+    // 最後にGatewayへ送ったop 3の文字列 (変化がなければ再送しない)
+    this.lastPresence = null;
+    // RESUME用のセッション情報 (READYで受け取る)
+    this.gatewaySessionId = null;
+    this.resumeGatewayUrl = null;
+    // connecting / connected / reconnecting / failed / disconnected
+    this.state = 'connecting';
+    this.failureReason = null;
+    this.reconnectPolicy = new ReconnectPolicy({ maxAttempts: RECONNECT_MAX_ATTEMPTS });
+    this.scheduler = new Scheduler((activity, entry) => {
+      console.log(`[${this.sessionId}] Scheduled change (${entry.type}: ${entry.id})`);
+      this.updatePresence(activity);
+    });
+    // Last.fm互換APIのポーリング設定 ({ user, sealedApiKey, apiUrl, intervalSeconds })
+    this.nowPlaying = null;
+    this.nowPlayingPoller = null;
+    this.webhooks = new WebhookRegistry();
+    // TTL付きのWebhookで置き換えている間の状態 ({ activityId, previous, until })
+    this.webhookOverride = null;
+    this.webhookOverrideTask = null;
+    // プレースホルダー用 ({uptime} はセッションを作った時刻から数える)
+    this.startedAt = Date.now();
+    this.templateVars = {};
+    this.counters = {};
+    this.templateTask = null;
+    this.events = new EventLog({
+      maxEvents: EVENT_LOG_SIZE,
+      filePath: DATA_DIR ? path.join(DATA_DIR, 'events', `${sessionId}.jsonl`) : null
+    });
+    // 再接続してもセッションの間は集計を続ける
+    this.profile = GATEWAY_PROFILE ? new GatewayProfile() : null;
+  }
+
+  logEvent(type, data) {
+    return this.events.record(type, data);
   }
 
+  // 互換用: 先頭のアクティビティ
+  get currentActivity() {
+    return this.activities[0] || null;
+  }
+
+  isConnected() {
+    return Boolean(this.gateway && this.gateway.isOpen());
+  }
+
+  // /api/status やWSのstatusメッセージで返す内容
+  getStatus() {
+    return {
+      connected: this.isConnected(),
+      state: this.state,
+      failureReason: this.failureReason,
+      onlineStatus: this.onlineStatus,
+      afk: this.afk,
+      activities: this.activities,
+      currentActivity: this.currentActivity,
+      nextScheduledChange: this.scheduler.nextChange()
+    };
+  }
+
+  canResume() {
+    return Boolean(this.gatewaySessionId && this.lastSequence !== null);
+  }
+
+  resetSession() {
+    this.gatewaySessionId = null;
+    this.resumeGatewayUrl = null;
+    this.lastSequence = null;
+  }
+
+  // READYかRESUMEDを受け取ると解決する (RESUMEできるコードで切断された場合は再接続して待ち続ける)
+  // WebSocketのエラーか、fail() で諦めた場合はrejectする
   connect() {
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket('wss://gateway.discord.gg/?v=9&encoding=json');
+      this.pendingConnect = { resolve, reject };
+      this.openGateway();
+    });
+  }
 
-      this.ws.on('open', () => {
-        console.log(`[${this.sessionId}] Connected to Discord Gateway`);
-      });
+  settleConnect(error) {
+    const pending = this.pendingConnect;
+    if (!pending) return;
 
-      this.ws.on('message', (data) => {
-        const payload = JSON.parse(data);
-        this.handleMessage(payload, resolve, reject);
-      });
+    this.pendingConnect = null;
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(this);
+    }
+  }
 
-      this.ws.on('close', (code) => {
-        console.log(`[${this.sessionId}] Connection closed (Code: ${code})`);
-        this.cleanup();
+  openGateway() {
+    const baseUrl = this.canResume() && this.resumeGatewayUrl
+      ? this.resumeGatewayUrl
+      : DISCORD_GATEWAY_URL;
+    this.gateway = new GatewayTransport(baseUrl, {
+      ...GATEWAY_TRANSPORT,
+      dispatchFilter: GATEWAY_DISPATCH_FILTER,
+      profile: this.profile
+    });
+    this.logEvent('connect', { resume: this.canResume() });
 
-        notifyClient(this.sessionId, {
-          type: 'discord_disconnected',
-          message: '切断されました。再接続中...'
-        });
+    this.gateway.on('open', () => {
+      console.log(`[${this.sessionId}] Connected to Discord Gateway`);
+    });
+
+    this.gateway.on('payload', (payload) => {
+      this.handleMessage(payload);
+    });
+
+    this.gateway.on('skipped', ({ s }) => {
+      if (s) this.lastSequence = s;
+    });
+
+    this.gateway.on('close', (code) => {
+      console.log(`[${this.sessionId}] Connection closed (Code: ${code})`);
+      this.cleanup();
+
+      const action = classifyCloseCode(code);
+      this.logEvent('close', { code, reason: describeCloseCode(code), action });
+
+      if (!this.shouldReconnect) {
+        return;
+      }
+
+      if (action === CLOSE_ACTION.FATAL) {
+        this.fail(describeCloseCode(code));
+        return;
+      }
+
+      if (action === CLOSE_ACTION.REIDENTIFY) {
+        this.resetSession();
+      }
+
+      const delay = this.reconnectPolicy.nextDelay();
+
+      if (delay === null) {
+        this.fail(`再接続に${this.reconnectPolicy.maxAttempts}回失敗しました`);
+        return;
+      }
+
+      this.state = 'reconnecting';
+      reconnectsTotal.inc({ code });
+      this.logEvent('reconnect', { delay, attempt: this.reconnectPolicy.attempts });
+      notifyClient(this.sessionId, {
+        type: 'discord_disconnected',
+        message: `切断されました。${Math.ceil(delay / 1000)}秒後に再接続します...`
+      });
 
+      // 待っている間に切断・停止された場合は再接続しない
+      setTimeout(() => {
         if (this.shouldReconnect) {
-          setTimeout(() => this.connect(), 5000);
+          this.openGateway();
         }
-      });
+      }, delay);
+    });
 
-      this.ws.on('error', (error) => {
-        console.error(`[${this.sessionId}] WebSocket Error:`, error);
-        reject(error);
-      });
+    this.gateway.on('error', (error) => {
+      console.error(`[${this.sessionId}] WebSocket Error:`, error);
+      this.logEvent('error', { message: error.message });
+      this.settleConnect(error);
     });
   }
 
-  handleMessage(payload, resolve, reject) {
+  handleMessage(payload) {
     const { op, d, s, t } = payload;
 
     if (s) this.lastSequence = s;
@@ -89,38 +387,42 @@ class DiscordConnection {
         this.heartbeatTask = setInterval(() => {
           if (!this.heartbeatAcked) {
             console.log(`[${this.sessionId}] No heartbeat ACK, reconnecting...`);
-            this.ws.close();
+            // 1000/1001で閉じるとセッションが無効になるので、RESUMEできるコードで閉じる
+            this.gateway.close(4000);
             return;
           }
 
-          if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+          if (this.isConnected()) {
             this.heartbeatAcked = false;
-            this.ws.send(JSON.stringify({ op: 1, d: this.lastSequence }));
+            this.stopHeartbeatTimer = heartbeatLatency.startTimer();
+            this.gateway.send({ op: 1, d: this.lastSequence });
           }
         }, heartbeatInterval);
 
-        this.ws.send(JSON.stringify({
-          op: 2,
-          d: {
-            token: this.token,
-            properties: {
-              os: 'Windows',
-              browser: 'Chrome',
-              device: ''
-            }
-          }
-        }));
-
-        console.log(`[${this.sessionId}] Identify sent`);
+        if (this.canResume()) {
+          this.resume();
+        } else {
+          this.identify();
+        }
         break;
 
       case 11:
         this.heartbeatAcked = true;
+        if (this.stopHeartbeatTimer) {
+          this.stopHeartbeatTimer();
+          this.stopHeartbeatTimer = null;
+        }
         break;
 
       case 0:
         if (t === 'READY') {
+          this.gatewaySessionId = d.session_id;
+          this.resumeGatewayUrl = d.resume_gateway_url || null;
+          this.state = 'connected';
+          this.reconnectPolicy.reset();
+
           console.log(`[${this.sessionId}] Login successful`);
+          this.logEvent('ready');
           notifyClient(this.sessionId, {
             type: 'discord_ready',
             message: 'Discord接続成功'
@@ -129,107 +431,451 @@ class DiscordConnection {
           // 常時オンライン状態を維持するための定期更新を開始
           this.startKeepAlive();
 
-          if (resolve) {
-            resolve(this);
-            if (this.currentActivity) {
-              this.updatePresence(this.currentActivity);
-            }
+          this.settleConnect();
+          // 新しいセッションではプレゼンスが消えているので、前回と同じ内容でも送り直す
+          if (this.lastPresence || this.activities.length > 0 || this.onlineStatus !== 'online' || this.afk) {
+            this.sendPresence({ force: true });
           }
+        } else if (t === 'RESUMED') {
+          console.log(`[${this.sessionId}] Session resumed`);
+          this.logEvent('resumed');
+          this.state = 'connected';
+          this.reconnectPolicy.reset();
+          notifyClient(this.sessionId, {
+            type: 'discord_ready',
+            message: 'Discordセッションを再開しました'
+          });
+
+          this.startKeepAlive();
+
+          this.settleConnect();
+          // RESUMEではプレゼンスが残っているので、切断中に変わった場合だけ送る
+          this.sendPresence();
         }
         break;
 
       case 7:
         console.log(`[${this.sessionId}] Server requested reconnect`);
-        this.ws.close();
+        this.logEvent('reconnect_requested');
+        this.gateway.close(4000);
+        break;
+
+      case 9:
+        // d が true ならRESUME可能、false なら新しくIDENTIFYし直す
+        this.logEvent('invalid_session', { resumable: Boolean(d) });
+        if (d) {
+          console.log(`[${this.sessionId}] Invalid session (resumable), reconnecting...`);
+          this.gateway.close(4000);
+          break;
+        }
+
+        console.log(`[${this.sessionId}] Invalid session, re-identifying...`);
+        this.resetSession();
+
+        // Discordの推奨どおり1〜5秒待ってからIDENTIFY
+        setTimeout(() => {
+          if (this.isConnected()) {
+            this.identify();
+          }
+        }, 1000 + Math.random() * 4000);
         break;
     }
   }
 
-  updatePresence(activityData) {
-    this.currentActivity = activityData;
+  identify() {
+    this.gateway.send({
+      op: 2,
+      d: {
+        token: tokenVault.open(this.sealedToken),
+        properties: {
+          os: 'Windows',
+          browser: 'Chrome',
+          device: ''
+        }
+      }
+    });
+
+    console.log(`[${this.sessionId}] Identify sent`);
+  }
+
+  resume() {
+    this.gateway.send({
+      op: 6,
+      d: {
+        token: tokenVault.open(this.sealedToken),
+        session_id: this.gatewaySessionId,
+        seq: this.lastSequence
+      }
+    });
 
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      console.log(`[${this.sessionId}] Connection not ready, will apply when reconnected`);
+    console.log(`[${this.sessionId}] Resume sent`);
+  }
+
+  fail(reason) {
+    console.log(`[${this.sessionId}] Giving up: ${reason}`);
+    this.logEvent('failed', { reason });
+    this.cancelExpiry();
+    this.scheduler.stop();
+    this.stopNowPlayingPoller();
+    this.cancelWebhookOverride();
+    this.state = 'failed';
+    this.failureReason = reason;
+    this.shouldReconnect = false;
+    this.cleanup();
+    forgetSession(this.sessionId);
+    this.events.removeFile();
+    this.settleConnect(new Error(reason));
+
+    notifyClient(this.sessionId, {
+      type: 'discord_failed',
+      message: reason
+    });
+  }
+
+  cancelExpiry() {
+    if (this.expiryTask) {
+      clearTimeout(this.expiryTask);
+      this.expiryTask = null;
+    }
+  }
+
+  // expiresAt が一番近いアクティビティに合わせてタイマーを張り、期限切れになったら取り除く
+  scheduleExpiry() {
+    this.cancelExpiry();
+
+    const expiries = this.activities.map(activity => activity.expiresAt).filter(Boolean);
+    if (expiries.length === 0) {
       return;
     }
 
-    let activity = null;
+    const delay = Math.min(Math.max(Math.min(...expiries) - Date.now(), 0), 2 ** 31 - 1);
+
+    this.expiryTask = setTimeout(() => {
+      this.expiryTask = null;
+      const now = Date.now();
+      console.log(`[${this.sessionId}] Activity expired, clearing`);
+      this.enqueuePresenceChange(() => this.applyActivities(
+        this.activities.filter(activity => !activity.expiresAt || activity.expiresAt > now)
+      ));
+    }, delay);
+  }
+
+  // 画像の解決が非同期なので、プレゼンスの変更は1つずつ順番に処理する
+  enqueuePresenceChange(change) {
+    const run = this.presenceQueue.then(change);
+    this.presenceQueue = run.catch((error) => {
+      console.error(`[${this.sessionId}] Presence update failed:`, error);
+      this.logEvent('error', { message: `Presence update failed: ${error.message}` });
+    });
+    return run;
+  }
 
-    if (activityData.name) {
-      activity = {
-        name: activityData.name,
-        type: parseInt(activityData.type),
-        details: activityData.details,
-        state: activityData.state,
-        assets: {}
-      };
+  // 画像URLを画像ソースでDiscordのアセットキーに変換しておく (失敗したら画像なしで表示する)
+  async resolveImageAssets(activity) {
+    const resolved = { ...activity };
 
-      if (activityData.imageUrl) {
-        const imageId = extractSpotifyImageId(activityData.imageUrl);
+    for (const [urlField, assetField] of [['imageUrl', 'imageAsset'], ['smallImageUrl', 'smallImageAsset']]) {
+      delete resolved[assetField];
+      if (!activity[urlField]) continue;
 
-        if (imageId) {
-          activity.assets.large_image = `spotify:${imageId}`;
-        }
-        if (activityData.imageText) {
-          activity.assets.large_text = activityData.imageText;
+      try {
+        const asset = await imageResolver.resolve(activity[urlField], {
+          getToken: () => tokenVault.open(this.sealedToken)
+        });
+        if (asset) {
+          resolved[assetField] = asset;
         }
+      } catch (error) {
+        console.error(`[${this.sessionId}] Failed to resolve ${urlField}:`, error.message);
+        this.logEvent('error', { message: `Failed to resolve ${urlField}: ${error.message}` });
       }
     }
 
-    const presenceUpdate = {
-      op: 3,
-      d: {
-        since: 0,
-        activities: activity ? [activity] : [],
-        status: 'online',
-        afk: false
-      }
-    };
+    return resolved;
+  }
 
-    this.ws.send(JSON.stringify(presenceUpdate));
-    console.log(`[${this.sessionId}] Presence updated`);
+  // 単一のアクティビティで置き換える (表示するものがなければクリア)
+  updatePresence(activityData, options = {}) {
+    const activities = buildActivity(activityData)
+      ? [{ ...activityData, id: generateActivityId() }]
+      : [];
+
+    return this.setActivities(activities, options);
+  }
+
+  setActivities(activities, options = {}) {
+    return this.enqueuePresenceChange(() => this.applyActivities(activities, options));
+  }
+
+  // options.onlineStatus / options.afk を省略した場合は現在の値を引き継ぐ
+  async applyActivities(activities, options = {}) {
+    const resolved = await Promise.all(activities.map(activity => this.resolveImageAssets(activity)));
+
+    // 画像の解決中に切断された場合は何もしない
+    if (this.state === 'disconnected') {
+      return;
+    }
+
+    this.activities = resolved;
+    if (options.onlineStatus) {
+      this.onlineStatus = options.onlineStatus;
+    }
+    if (typeof options.afk === 'boolean') {
+      this.afk = options.afk;
+    }
+    persistSession(this);
+    this.scheduleExpiry();
+    this.updateTemplateTimer();
+    this.sendPresence();
 
     // クライアントに通知
     notifyClient(this.sessionId, {
       type: 'status_updated',
-      activity: this.currentActivity
+      activities: this.activities,
+      activity: this.currentActivity,
+      onlineStatus: this.onlineStatus,
+      afk: this.afk
+    });
+  }
+
+  // 同じidがあればその位置で置き換え、なければ末尾に追加する
+  upsertActivity(activityId, activityData) {
+    return this.enqueuePresenceChange(async () => {
+      const activity = { ...activityData, id: activityId };
+      const index = this.activities.findIndex(existing => existing.id === activityId);
+
+      const activities = [...this.activities];
+      if (index === -1) {
+        activities.push(activity);
+      } else {
+        activities[index] = activity;
+      }
+
+      await this.applyActivities(activities);
+      return this.activities.find(existing => existing.id === activityId);
+    });
+  }
+
+  removeActivity(activityId) {
+    return this.enqueuePresenceChange(async () => {
+      const activities = this.activities.filter(activity => activity.id !== activityId);
+
+      if (activities.length === this.activities.length) {
+        return false;
+      }
+
+      await this.applyActivities(activities);
+      return true;
+    });
+  }
+
+  // 再生中の曲を now-playing アクティビティとして反映する (track が null なら取り除く)
+  setNowPlaying(track) {
+    if (!track) {
+      return this.removeActivity(NOW_PLAYING_ACTIVITY_ID);
+    }
+
+    const activity = trackToActivity(track);
+    const existing = this.activities.find(current => current.id === NOW_PLAYING_ACTIVITY_ID);
+
+    // 同じ曲の再生位置が少しずれただけなら送り直さない
+    if (isSamePlayback(existing, activity)) {
+      return Promise.resolve(existing);
+    }
+
+    return this.upsertActivity(NOW_PLAYING_ACTIVITY_ID, activity);
+  }
+
+  startNowPlayingPoller(config) {
+    this.stopNowPlayingPoller();
+    this.nowPlaying = config;
+
+    this.nowPlayingPoller = new LastFmPoller({
+      fetch,
+      user: config.user,
+      apiKey: tokenVault.open(config.sealedApiKey),
+      apiUrl: config.apiUrl || LASTFM_API_URL,
+      intervalSeconds: config.intervalSeconds,
+      onTrack: (track) => {
+        console.log(`[${this.sessionId}] Now playing: ${track ? track.title : '(nothing)'}`);
+        // 外部画像を登録できない設定では、ジャケット画像なしで表示する
+        if (track && track.coverUrl && !imageResolver.supports(track.coverUrl)) {
+          track = { ...track, coverUrl: undefined };
+        }
+        this.setNowPlaying(track).catch((error) => {
+          console.error(`[${this.sessionId}] Failed to apply now playing:`, error.message);
+        });
+      },
+      onError: (error) => {
+        console.error(`[${this.sessionId}] Now playing poll failed:`, error.message);
+      }
+    });
+    this.nowPlayingPoller.start();
+  }
+
+  stopNowPlayingPoller() {
+    if (this.nowPlayingPoller) {
+      this.nowPlayingPoller.stop();
+      this.nowPlayingPoller = null;
+    }
+  }
+
+  // Webhookで受け取ったアクティビティで置き換える (ttlSeconds を指定すると、その後に元のアクティビティへ戻す)
+  applyWebhookActivity(activityData, ttlSeconds) {
+    return this.enqueuePresenceChange(async () => {
+      const activityId = generateActivityId();
+      const override = this.webhookOverride;
+
+      // 別のWebhookで置き換え中なら、最初に置き換える前の状態を戻す先として引き継ぐ
+      const previous = override && this.activities.some(activity => activity.id === override.activityId)
+        ? override.previous
+        : this.activities;
+
+      this.cancelWebhookOverride();
+      this.webhookOverride = ttlSeconds
+        ? { activityId, previous, until: Date.now() + ttlSeconds * 1000 }
+        : null;
+
+      await this.applyActivities([{ ...activityData, id: activityId }]);
+      this.armWebhookOverride();
+
+      return this.currentActivity;
+    });
+  }
+
+  // Webhookのアクティビティがまだ表示されている場合だけ、置き換える前のアクティビティに戻す
+  restoreWebhookOverride() {
+    return this.enqueuePresenceChange(async () => {
+      const override = this.webhookOverride;
+
+      this.cancelWebhookOverride();
+      this.webhookOverride = null;
+
+      if (!override || !this.activities.some(activity => activity.id === override.activityId)) {
+        persistSession(this);
+        return false;
+      }
+
+      console.log(`[${this.sessionId}] Webhook activity expired, restoring previous activities`);
+      const now = Date.now();
+      await this.applyActivities(
+        override.previous.filter(activity => !activity.expiresAt || activity.expiresAt > now)
+      );
+      return true;
+    });
+  }
+
+  armWebhookOverride() {
+    if (!this.webhookOverride) return;
+
+    const delay = Math.min(Math.max(this.webhookOverride.until - Date.now(), 0), 2 ** 31 - 1);
+    this.webhookOverrideTask = setTimeout(() => {
+      this.webhookOverrideTask = null;
+      this.restoreWebhookOverride();
+    }, delay);
+  }
+
+  cancelWebhookOverride() {
+    if (this.webhookOverrideTask) {
+      clearTimeout(this.webhookOverrideTask);
+      this.webhookOverrideTask = null;
+    }
+  }
+
+  // force を指定しない場合、前回送った内容と同じなら送らない
+  sendPresence({ force = false } = {}) {
+    if (!this.isConnected()) {
+      console.log(`[${this.sessionId}] Connection not ready, will apply when reconnected`);
+      return;
+    }
+
+    const payload = buildPresencePayload({
+      activities: this.renderActivities(),
+      onlineStatus: this.onlineStatus,
+      afk: this.afk
+    });
+    const presence = JSON.stringify(payload);
+
+    if (!force && presence === this.lastPresence) {
+      console.log(`[${this.sessionId}] Presence unchanged, skipped`);
+      return;
+    }
+
+    this.gateway.send(payload);
+    this.lastPresence = presence;
+    presenceUpdatesTotal.inc({ kind: 'update' });
+    console.log(`[${this.sessionId}] Presence updated`);
+    this.logEvent('presence', {
+      status: this.onlineStatus,
+      activities: this.activities.map(activity => activity.name || activity.state || '')
+    });
+  }
+
+  // プレースホルダーを展開したアクティビティ (Gatewayにはこちらを送る)
+  renderActivities() {
+    const context = {
+      startedAt: this.startedAt,
+      timeZone: TEMPLATE_TIME_ZONE,
+      counters: this.counters,
+      vars: this.templateVars
+    };
+    return this.activities.map(activity => renderActivity(activity, context));
+  }
+
+  // プレースホルダーを含むアクティビティがある間だけ、定期的に展開し直して変化があれば送る
+  updateTemplateTimer() {
+    if (!this.activities.some(isTemplated)) {
+      this.stopTemplateTimer();
+      return;
+    }
+    if (this.templateTask) return;
+
+    this.templateTask = setInterval(() => {
+      if (this.isConnected()) {
+        this.sendPresence();
+      }
+    }, TEMPLATE_RENDER_INTERVAL);
+  }
+
+  stopTemplateTimer() {
+    if (this.templateTask) {
+      clearInterval(this.templateTask);
+      this.templateTask = null;
+    }
+  }
+
+  // 変数やカウンターを変えたら、その値で送り直す
+  updateTemplateValues(change) {
+    return this.enqueuePresenceChange(async () => {
+      change();
+      persistSession(this);
+      this.sendPresence();
     });
   }
 
   startKeepAlive() {
-    // 1分ごとにオンライン状態を維持するためにステータスを再送信
+    // 定期的にオンライン状態を維持するためにステータスを再送信
     if (this.keepAliveTask) {
       clearInterval(this.keepAliveTask);
     }
+    this.updateTemplateTimer();
 
     this.keepAliveTask = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        // 現在のアクティビティを再送信してオンライン状態を維持
-        const presenceUpdate = {
-          op: 3,
-          d: {
-            since: 0,
-            activities: this.currentActivity && this.currentActivity.name ? [{
-              name: this.currentActivity.name,
-              type: parseInt(this.currentActivity.type),
-              details: this.currentActivity.details,
-              state: this.currentActivity.state,
-              assets: this.currentActivity.imageUrl ? {
-                large_image: this.currentActivity.imageUrl,
-                large_text: this.currentActivity.imageText
-              } : {}
-            }] : [],
-            status: 'online',
-            afk: false
-          }
-        };
-        this.ws.send(JSON.stringify(presenceUpdate));
+      if (this.isConnected()) {
+        // 最後に送った内容をそのまま再送信してオンライン状態を維持
+        if (this.lastPresence) {
+          this.gateway.send(JSON.parse(this.lastPresence));
+          presenceUpdatesTotal.inc({ kind: 'keepalive' });
+        } else {
+          this.sendPresence({ force: true });
+        }
         console.log(`[${this.sessionId}] Keep-alive: Online status maintained`);
       }
-    }, 60 * 1000); // 1分ごと
+    }, KEEP_ALIVE_INTERVAL);
   }
 
   cleanup() {
+    this.stopTemplateTimer();
     if (this.heartbeatTask) {
       clearInterval(this.heartbeatTask);
       this.heartbeatTask = null;
@@ -241,12 +887,22 @@ class DiscordConnection {
   }
 
   disconnect() {
+    this.logEvent('disconnected');
     this.shouldReconnect = false;
-    this.currentActivity = null;
-    if (this.ws) {
-      this.ws.close();
+    this.state = 'disconnected';
+    this.activities = [];
+    this.cancelExpiry();
+    this.scheduler.stop();
+    this.stopNowPlayingPoller();
+    this.nowPlaying = null;
+    this.cancelWebhookOverride();
+    this.webhookOverride = null;
+    if (this.gateway) {
+      this.gateway.close();
     }
     this.cleanup();
+    forgetSession(this.sessionId);
+    this.events.removeFile();
 
     // クライアントに切断を通知
     notifyClient(this.sessionId, {
@@ -254,8 +910,45 @@ class DiscordConnection {
       message: 'セッションが終了しました'
     });
   }
+
+  // サーバー停止時用: 保存済みのセッションは残したまま接続だけ閉じる
+  shutdown() {
+    this.shouldReconnect = false;
+    this.cancelExpiry();
+    this.scheduler.stop();
+    this.stopNowPlayingPoller();
+    this.cancelWebhookOverride();
+    if (this.gateway) {
+      this.gateway.close();
+    }
+    this.cleanup();
+  }
+
+  // /api/connect で最初の接続に失敗した場合: activeConnections に入っていないので、再接続せずに何も残さない
+  abandon() {
+    this.shutdown();
+    this.events.removeFile();
+  }
 }
 
+// 死活監視用 (プロセスが応答できれば常に200)
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// 保存済みセッションの復元を始めるまでは503
+app.get('/readyz', (req, res) => {
+  res.status(serverReady ? 200 : 503).json({
+    status: serverReady ? 'ready' : 'starting',
+    sessions: activeConnections.size
+  });
+});
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
 app.get('/api/spotify-info', async (req, res) => {
   const { url } = req.query;
 
@@ -263,64 +956,84 @@ app.get('/api/spotify-info', async (req, res) => {
     return res.status(400).json({ error: 'Spotify URL is required' });
   }
 
+  const stopTimer = spotifyLookupDuration.startTimer();
+
   try {
-    let trackId = null;
-    let urlType = null;
-
-    if (url.includes('/track/')) {
-      trackId = url.split('/track/')[1].split('?')[0].split('/')[0];
-      urlType = 'track';
-    } else if (url.includes('/album/')) {
-      trackId = url.split('/album/')[1].split('?')[0].split('/')[0];
-      urlType = 'album';
-    } else if (url.includes('spotify:track:')) {
-      trackId = url.split('spotify:track:')[1];
-      urlType = 'track';
-    } else if (url.includes('spotify:album:')) {
-      trackId = url.split('spotify:album:')[1];
-      urlType = 'album';
-    } else {
-      return res.status(400).json({ error: 'Invalid Spotify URL' });
+    const { info, cached } = await spotifyLookup.lookup(url);
+    stopTimer({ result: cached ? 'hit' : 'miss' });
+    res.json({ ...info, cached });
+  } catch (error) {
+    stopTimer({ result: 'error' });
+    spotifyLookupErrorsTotal.inc({ status: error instanceof SpotifyLookupError ? error.status : 500 });
+
+    if (error instanceof SpotifyLookupError) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Spotify API Error:', error);
+    res.status(500).json({ error: 'Failed to fetch Spotify info', message: error.message });
+  }
+});
 
-    const oembedUrl = `https://open.spotify.com/oembed?url=https://open.spotify.com/${urlType}/${trackId}`;
-    const response = await fetch(oembedUrl);
+// セッション操作用: Authorization: Bearer <sessionSecret> を要求する
+// 接続を諦めたセッション (state: failed) は保存されないので、allowFailed のルート (状態の確認と切断) 以外は410を返す
+function sessionGuard({ allowFailed }) {
+  return (req, res, next) => {
+    const sessionId = req.params.sessionId || req.body.sessionId;
 
-    if (!response.ok) {
-      return res.status(404).json({ error: 'Spotify track not found' });
+    if (!sessionId) {
+      return res.status(400).json({ error: 'Session ID is required' });
     }
 
-    const data = await response.json();
-    const title = data.title || '';
-    const thumbnailUrl = data.thumbnail_url || '';
+    const connection = activeConnections.get(sessionId);
 
-    let songName = title;
-    let artistName = 'Unknown Artist';
+    if (!connection) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-    if (title.includes(' - ')) {
-      const parts = title.split(' - ', 2);
-      songName = parts[0].trim();
-      artistName = parts[1].trim();
+    if (!verifySecret(readBearerToken(req), connection.secretHash)) {
+      return res.status(401).json({ error: 'Invalid session secret' });
     }
 
-    let spotifyImageId = null;
-    if (thumbnailUrl && thumbnailUrl.includes('/image/')) {
-      spotifyImageId = thumbnailUrl.split('/image/')[1];
+    if (!allowFailed && connection.state === 'failed') {
+      return res.status(410).json({ error: 'Session has failed', details: [connection.failureReason] });
     }
 
-    res.json({
-      songName,
-      artistName,
-      thumbnailUrl,
-      spotifyImageId,
-      trackId
-    });
+    req.discordConnection = connection;
+    next();
+  };
+}
 
-  } catch (error) {
-    console.error('Spotify API Error:', error);
-    res.status(500).json({ error: 'Failed to fetch Spotify info', message: error.message });
+const requireSession = sessionGuard({ allowFailed: false });
+const requireAnySession = sessionGuard({ allowFailed: true });
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_KEY) {
+    return res.status(403).json({ error: 'Admin API is disabled' });
   }
-});
+
+  const key = readBearerToken(req);
+
+  if (!key || !safeEqual(key, ADMIN_KEY)) {
+    return res.status(401).json({ error: 'Invalid admin key' });
+  }
+
+  next();
+}
+
+// プリセットなどセッションをまたぐAPI用: 管理者キーか、有効なセッション (X-Session-Id + シークレット) を要求する
+function requireClient(req, res, next) {
+  const credential = readBearerToken(req);
+  const connection = activeConnections.get(req.get('x-session-id'));
+
+  if (connection && verifySecret(credential, connection.secretHash)) {
+    return next();
+  }
+  if (ADMIN_KEY && credential && safeEqual(credential, ADMIN_KEY)) {
+    return next();
+  }
+
+  res.status(401).json({ error: 'Session or admin credentials are required' });
+}
 
 app.post('/api/connect', async (req, res) => {
   const { token } = req.body;
@@ -328,21 +1041,33 @@ app.post('/api/connect', async (req, res) => {
   if (!token) {
     return res.status(400).json({ error: 'Token is required' });
   }
+  if (typeof token !== 'string') {
+    return res.status(400).json({ error: 'Token must be a string' });
+  }
 
-  const sessionId = Math.random().toString(36).substring(7);
+  const sessionId = generateSessionId();
+  const sessionSecret = generateSessionSecret();
 
+  let connection = null;
   try {
-    const connection = new DiscordConnection(token, sessionId);
+    connection = new DiscordConnection(tokenVault.seal(token), sessionId);
+    connection.secretHash = hashSecret(sessionSecret);
     await connection.connect();
 
     activeConnections.set(sessionId, connection);
+    persistSession(connection);
 
     res.json({
       success: true,
       sessionId,
+      sessionSecret,
       message: 'Connected to Discord Gateway'
     });
   } catch (error) {
+    // 残しておくと誰も操作できない接続がトークンで再接続し続けるので、ここで止める
+    if (connection) {
+      connection.abandon();
+    }
     res.status(500).json({
       error: 'Failed to connect to Discord',
       message: error.message
@@ -350,21 +1075,33 @@ app.post('/api/connect', async (req, res) => {
   }
 });
 
-app.post('/api/update-status', (req, res) => {
-  const { sessionId, activity } = req.body;
+app.post('/api/update-status', requireSession, async (req, res) => {
+  const { presetId, onlineStatus, afk } = req.body;
+  const connection = req.discordConnection;
+  let { activity } = req.body;
 
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
+  // activityの代わりにプリセットのidを指定できる
+  if (presetId) {
+    const preset = presetStore.get(presetId);
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    activity = preset.activity;
   }
 
-  const connection = activeConnections.get(sessionId);
-
-  if (!connection) {
-    return res.status(404).json({ error: 'Session not found' });
+  const errors = validateActivity(activity, activityValidation);
+  if (onlineStatus !== undefined && !ONLINE_STATUSES.includes(onlineStatus)) {
+    errors.push(`onlineStatus must be one of ${ONLINE_STATUSES.join(', ')}`);
+  }
+  if (afk !== undefined && typeof afk !== 'boolean') {
+    errors.push('afk must be a boolean');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid activity', details: errors });
   }
 
   try {
-    connection.updatePresence(activity);
+    await connection.updatePresence(activity, { onlineStatus, afk });
     res.json({
       success: true,
       message: 'Status updated successfully'
@@ -377,21 +1114,11 @@ app.post('/api/update-status', (req, res) => {
   }
 });
 
-app.post('/api/disconnect', (req, res) => {
-  const { sessionId } = req.body;
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'Session ID is required' });
-  }
-
-  const connection = activeConnections.get(sessionId);
-
-  if (!connection) {
-    return res.status(404).json({ error: 'Session not found' });
-  }
+app.post('/api/disconnect', requireAnySession, (req, res) => {
+  const connection = req.discordConnection;
 
   connection.disconnect();
-  activeConnections.delete(sessionId);
+  activeConnections.delete(connection.sessionId);
 
   res.json({
     success: true,
@@ -399,34 +1126,562 @@ app.post('/api/disconnect', (req, res) => {
   });
 });
 
-app.get('/api/status/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
+app.get('/api/status/:sessionId', requireAnySession, (req, res) => {
+  res.json(req.discordConnection.getStatus());
+});
 
-  const connection = activeConnections.get(sessionId);
+// ?before=<seq> で古い方へ、?after=<seq> で新しい方へページングする
+app.get('/api/sessions/:sessionId/events', requireAnySession, (req, res) => {
+  const parseSeq = value => (value === undefined ? undefined : parseInt(value, 10));
+  const before = parseSeq(req.query.before);
+  const after = parseSeq(req.query.after);
 
-  if (!connection) {
-    return res.json({ connected: false });
+  if (Number.isNaN(before) || Number.isNaN(after)) {
+    return res.status(400).json({ error: 'before and after must be integers' });
   }
 
-  res.json({
-    connected: connection.ws && connection.ws.readyState === WebSocket.OPEN,
-    currentActivity: connection.currentActivity
-  });
+  res.json(req.discordConnection.events.page({ before, after, limit: req.query.limit }));
+});
+
+app.get('/api/sessions/:sessionId/profile', requireAnySession, (req, res) => {
+  if (!GATEWAY_PROFILE) {
+    return res.status(404).json({ error: 'Profiling is disabled' });
+  }
+
+  res.json({ sessionId: req.params.sessionId, ...req.discordConnection.profile.toJSON() });
+});
+
+app.get('/api/profile', requireAdmin, (req, res) => {
+  if (!GATEWAY_PROFILE) {
+    return res.status(404).json({ error: 'Profiling is disabled' });
+  }
+
+  const sessions = Array.from(activeConnections, ([sessionId, connection]) => ({
+    sessionId,
+    ...connection.profile.toJSON()
+  }));
+
+  res.json({ memory: process.memoryUsage(), cpu: process.cpuUsage(), sessions });
 });
 
-app.get('/api/sessions', (req, res) => {
+app.get('/api/sessions', requireAdmin, (req, res) => {
   const sessions = Array.from(activeConnections.keys()).map(sessionId => {
     const connection = activeConnections.get(sessionId);
     return {
       sessionId,
-      connected: connection.ws && connection.ws.readyState === WebSocket.OPEN,
-      currentActivity: connection.currentActivity
+      ...connection.getStatus()
     };
   });
 
   res.json({ sessions });
 });
 
+function validateActivityId(activityId) {
+  return /^[\w-]{1,32}$/.test(activityId);
+}
+
+app.get('/api/sessions/:sessionId/activities', requireSession, (req, res) => {
+  res.json({ activities: req.discordConnection.activities });
+});
+
+app.post('/api/sessions/:sessionId/activities', requireSession, (req, res) => {
+  addOrUpdateActivity(req, res, generateActivityId());
+});
+
+app.post('/api/sessions/:sessionId/activities/:activityId', requireSession, (req, res) => {
+  const { activityId } = req.params;
+
+  if (!validateActivityId(activityId)) {
+    return res.status(400).json({ error: 'Invalid activity ID' });
+  }
+
+  addOrUpdateActivity(req, res, activityId);
+});
+
+app.delete('/api/sessions/:sessionId/activities/:activityId', requireSession, async (req, res) => {
+  try {
+    if (!await req.discordConnection.removeActivity(req.params.activityId)) {
+      return res.status(404).json({ error: 'Activity not found' });
+    }
+
+    res.json({
+      success: true,
+      activities: req.discordConnection.activities
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to remove activity',
+      message: error.message
+    });
+  }
+});
+
+async function addOrUpdateActivity(req, res, activityId) {
+  const { activity } = req.body;
+  const connection = req.discordConnection;
+
+  // DiscordではCustom Statusは1つのプレゼンスに1つまで
+  const hasOtherCustomStatus = connection.activities.some(existing =>
+    existing.id !== activityId && isCustomStatus(existing)
+  );
+  const errors = validateActivity(activity, { ...activityValidation, allowCustomStatus: !hasOtherCustomStatus });
+  if (errors.length === 0 && !buildActivity(activity)) {
+    errors.push('Activity has nothing to display');
+  }
+
+  const isNew = !connection.activities.some(existing => existing.id === activityId);
+  if (isNew && connection.activities.length >= LIMITS.activities) {
+    errors.push(`At most ${LIMITS.activities} activities are allowed`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid activity', details: errors });
+  }
+
+  try {
+    const saved = await connection.upsertActivity(activityId, activity);
+
+    res.json({
+      success: true,
+      activity: saved,
+      activities: connection.activities
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to save activity',
+      message: error.message
+    });
+  }
+}
+
+app.get('/api/sessions/:sessionId/schedule', requireSession, (req, res) => {
+  const { scheduler } = req.discordConnection;
+
+  res.json({
+    entries: scheduler.list(),
+    nextChange: scheduler.nextChange()
+  });
+});
+
+app.post('/api/sessions/:sessionId/schedule', requireSession, (req, res) => {
+  saveScheduleEntry(req, res, undefined);
+});
+
+app.post('/api/sessions/:sessionId/schedule/:entryId', requireSession, (req, res) => {
+  const { entryId } = req.params;
+
+  if (!req.discordConnection.scheduler.get(entryId)) {
+    return res.status(404).json({ error: 'Schedule entry not found' });
+  }
+
+  saveScheduleEntry(req, res, entryId);
+});
+
+app.delete('/api/sessions/:sessionId/schedule/:entryId', requireSession, (req, res) => {
+  const connection = req.discordConnection;
+
+  if (!connection.scheduler.remove(req.params.entryId)) {
+    return res.status(404).json({ error: 'Schedule entry not found' });
+  }
+  persistSession(connection);
+
+  res.json({
+    success: true,
+    entries: connection.scheduler.list(),
+    nextChange: connection.scheduler.nextChange()
+  });
+});
+
+function saveScheduleEntry(req, res, entryId) {
+  const connection = req.discordConnection;
+  const { entry } = req.body;
+
+  const errors = validateScheduleEntry(entry, activityValidation);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid schedule entry', details: errors });
+  }
+
+  try {
+    const saved = connection.scheduler.set(entry, entryId);
+    persistSession(connection);
+
+    res.json({
+      success: true,
+      entry: saved,
+      nextChange: connection.scheduler.nextChange()
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid schedule entry', details: [error.message] });
+  }
+}
+
+// ローカルのエージェント等から再生中の曲を受け取る ({ track: null } で停止)
+app.post('/api/sessions/:sessionId/now-playing', requireSession, async (req, res) => {
+  const connection = req.discordConnection;
+  const { track } = req.body;
+
+  if (track !== null) {
+    const errors = validateTrack(track);
+    if (errors.length === 0) {
+      errors.push(...validateActivity(trackToActivity(track), activityValidation));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid track', details: errors });
+    }
+  }
+
+  try {
+    await connection.setNowPlaying(track);
+
+    res.json({
+      success: true,
+      activity: connection.activities.find(activity => activity.id === NOW_PLAYING_ACTIVITY_ID) || null
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update now playing',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/sessions/:sessionId/now-playing', requireSession, (req, res) => {
+  const connection = req.discordConnection;
+  res.json({
+    lastfm: describeNowPlaying(connection.nowPlaying),
+    activity: connection.activities.find(activity => activity.id === NOW_PLAYING_ACTIVITY_ID) || null
+  });
+});
+
+// Last.fm互換APIのポーリングを開始する (apiKeyはトークンと同じく暗号化して保存する)
+app.post('/api/sessions/:sessionId/now-playing/lastfm', requireSession, (req, res) => {
+  const connection = req.discordConnection;
+  const { user, apiKey, apiUrl, intervalSeconds } = req.body;
+
+  const errors = [];
+  if (typeof user !== 'string' || !user || user.length > 64) {
+    errors.push('user must be 1-64 characters');
+  }
+  if (typeof apiKey !== 'string' || !apiKey) {
+    errors.push('apiKey is required');
+  }
+  if (apiUrl !== undefined && !isAllowedLastFmApiUrl(apiUrl)) {
+    errors.push(`apiUrl must be an http(s) URL on one of: ${Array.from(LASTFM_API_HOSTS).join(', ')}`);
+  }
+  if (intervalSeconds !== undefined && !(Number(intervalSeconds) > 0)) {
+    errors.push('intervalSeconds must be a positive number');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid now playing source', details: errors });
+  }
+
+  connection.startNowPlayingPoller({
+    user,
+    sealedApiKey: tokenVault.seal(apiKey),
+    apiUrl,
+    intervalSeconds
+  });
+  persistSession(connection);
+
+  res.json({ success: true, lastfm: describeNowPlaying(connection.nowPlaying) });
+});
+
+app.delete('/api/sessions/:sessionId/now-playing/lastfm', requireSession, async (req, res) => {
+  const connection = req.discordConnection;
+
+  if (!connection.nowPlaying) {
+    return res.status(404).json({ error: 'Now playing source not configured' });
+  }
+
+  connection.stopNowPlayingPoller();
+  connection.nowPlaying = null;
+  persistSession(connection);
+
+  try {
+    await connection.setNowPlaying(null);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to update now playing',
+      message: error.message
+    });
+  }
+});
+
+function isAllowedLastFmApiUrl(apiUrl) {
+  try {
+    const url = new URL(apiUrl);
+    return (url.protocol === 'https:' || url.protocol === 'http:') && LASTFM_API_HOSTS.has(url.hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+}
+
+// apiKey を除いた設定
+function describeNowPlaying(config) {
+  if (!config) return null;
+
+  const { user, apiUrl, intervalSeconds } = config;
+  return { user, apiUrl: apiUrl || null, intervalSeconds: intervalSeconds || null };
+}
+
+app.get('/api/sessions/:sessionId/webhooks', requireSession, (req, res) => {
+  const connection = req.discordConnection;
+  res.json({
+    webhooks: connection.webhooks.list(),
+    override: describeWebhookOverride(connection.webhookOverride)
+  });
+});
+
+// シークレットは作成時 (と rotateSecret 時) のレスポンスでしか返さない
+app.post('/api/sessions/:sessionId/webhooks', requireSession, (req, res) => {
+  saveWebhook(req, res, undefined);
+});
+
+app.post('/api/sessions/:sessionId/webhooks/:webhookId', requireSession, (req, res) => {
+  if (!req.discordConnection.webhooks.get(req.params.webhookId)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  saveWebhook(req, res, req.params.webhookId);
+});
+
+app.delete('/api/sessions/:sessionId/webhooks/:webhookId', requireSession, (req, res) => {
+  const connection = req.discordConnection;
+
+  if (!connection.webhooks.remove(req.params.webhookId)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  persistSession(connection);
+
+  res.json({ success: true, webhooks: connection.webhooks.list() });
+});
+
+function saveWebhook(req, res, webhookId) {
+  const connection = req.discordConnection;
+  const { webhook, rotateSecret } = req.body;
+
+  const errors = validateWebhook(webhook);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid webhook', details: errors });
+  }
+
+  const secret = !webhookId || rotateSecret ? generateWebhookSecret() : null;
+
+  try {
+    const saved = connection.webhooks.set({
+      name: webhook.name.trim(),
+      template: webhook.template,
+      ttlSeconds: webhook.ttlSeconds,
+      sealedSecret: secret ? tokenVault.seal(secret) : undefined
+    }, webhookId);
+    persistSession(connection);
+
+    res.json({
+      success: true,
+      webhook: describeWebhook(saved),
+      url: `/api/hooks/${connection.sessionId}/${saved.id}`,
+      ...(secret ? { secret } : {})
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid webhook', details: [error.message] });
+  }
+}
+
+function describeWebhookOverride(override) {
+  return override ? { activityId: override.activityId, until: override.until } : null;
+}
+
+// 外部ツールからの呼び出し: セッションのシークレットの代わりにWebhookごとのシークレットの署名を要求する
+// 存在しないWebhookかどうかを推測されないよう、どちらも401で返す (タイムスタンプが古い場合も同じ)
+function requireWebhookSignature(req, res, next) {
+  const connection = activeConnections.get(req.params.sessionId);
+  const webhook = connection && connection.webhooks.get(req.params.webhookId);
+
+  let secret = null;
+  try {
+    secret = webhook && tokenVault.open(webhook.sealedSecret);
+  } catch (error) {
+    console.error(`[${req.params.sessionId}] Failed to decrypt webhook secret:`, error.message);
+  }
+
+  if (!secret || !verifySignature(secret, req.get(TIMESTAMP_HEADER), req.rawBody, req.get(SIGNATURE_HEADER))) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  if (connection.state === 'failed') {
+    return res.status(410).json({ error: 'Session has failed', details: [connection.failureReason] });
+  }
+
+  req.discordConnection = connection;
+  req.webhook = webhook;
+  next();
+}
+
+// ボディのJSONをテンプレートに当てはめる
+//   ttlSeconds: Webhookの設定より優先するTTL / restore: true で置き換える前のアクティビティにすぐ戻す
+app.post('/api/hooks/:sessionId/:webhookId', requireWebhookSignature, async (req, res) => {
+  const connection = req.discordConnection;
+  const { webhook } = req;
+  const payload = req.body || {};
+
+  try {
+    if (payload.restore === true) {
+      const restored = await connection.restoreWebhookOverride();
+      return res.json({ success: true, restored });
+    }
+
+    const ttlSeconds = payload.ttlSeconds !== undefined ? payload.ttlSeconds : webhook.ttlSeconds;
+    const activity = renderTemplate(webhook.template, payload);
+
+    const errors = validateActivity(activity, activityValidation);
+    if (ttlSeconds !== null && ttlSeconds !== undefined && !isValidTtl(ttlSeconds)) {
+      errors.push('ttlSeconds must be a positive integer');
+    }
+    if (errors.length === 0 && !buildActivity(activity)) {
+      errors.push('Activity has nothing to display');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid activity', details: errors });
+    }
+
+    console.log(`[${connection.sessionId}] Webhook received (${webhook.name})`);
+    const applied = await connection.applyWebhookActivity(activity, ttlSeconds);
+
+    res.json({
+      success: true,
+      activity: applied,
+      override: describeWebhookOverride(connection.webhookOverride)
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to apply webhook',
+      message: error.message
+    });
+  }
+});
+
+// {var:name} 用の値 ({ vars: { build: '123', old: null } } で追加・削除)
+app.get('/api/sessions/:sessionId/vars', requireSession, (req, res) => {
+  const connection = req.discordConnection;
+  res.json({ vars: connection.templateVars, counters: connection.counters });
+});
+
+app.post('/api/sessions/:sessionId/vars', requireSession, async (req, res) => {
+  const connection = req.discordConnection;
+  const { vars } = req.body;
+
+  const errors = validateVars(vars);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid vars', details: errors });
+  }
+
+  try {
+    await connection.updateTemplateValues(() => {
+      connection.templateVars = mergeVars(connection.templateVars, vars);
+    });
+    res.json({ success: true, vars: connection.templateVars });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid vars', details: [error.message] });
+  }
+});
+
+// {counter:name} を増やす ({ value } を指定するとその値にする。{counter} は default のカウンター)
+app.post('/api/sessions/:sessionId/counters/:counterName', requireSession, async (req, res) => {
+  const connection = req.discordConnection;
+  const { counterName } = req.params;
+  const { by = 1, value } = req.body;
+
+  if (!VAR_NAME.test(counterName)) {
+    return res.status(400).json({ error: 'Invalid counter name' });
+  }
+  if (!Number.isInteger(by) || (value !== undefined && !Number.isInteger(value))) {
+    return res.status(400).json({ error: 'by and value must be integers' });
+  }
+  if (!Object.hasOwn(connection.counters, counterName) && Object.keys(connection.counters).length >= MAX_COUNTERS) {
+    return res.status(400).json({ error: `At most ${MAX_COUNTERS} counters are allowed` });
+  }
+
+  try {
+    await connection.updateTemplateValues(() => {
+      connection.counters[counterName] = value !== undefined
+        ? value
+        : (Object.hasOwn(connection.counters, counterName) ? connection.counters[counterName] : 0) + by;
+    });
+    res.json({ success: true, counter: counterName, value: connection.counters[counterName] });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid counter', details: [error.message] });
+  }
+});
+
+app.get('/api/presets', requireClient, (req, res) => {
+  res.json({ presets: presetStore.list() });
+});
+
+app.get('/api/presets/export', requireClient, (req, res) => {
+  res.set('Content-Disposition', 'attachment; filename="presets.json"');
+  res.json({ presets: presetStore.list() });
+});
+
+app.post('/api/presets/import', requireClient, (req, res) => {
+  const { presets, replace } = req.body;
+
+  if (!Array.isArray(presets)) {
+    return res.status(400).json({ error: 'presets must be an array' });
+  }
+
+  const errors = [];
+  presets.forEach((preset, index) => {
+    validatePreset(preset, activityValidation).forEach(error => errors.push(`presets[${index}]: ${error}`));
+  });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid presets', details: errors });
+  }
+
+  try {
+    res.json({
+      success: true,
+      presets: presetStore.import(presets, { replace: replace === true })
+    });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid presets', details: [error.message] });
+  }
+});
+
+app.post('/api/presets', requireClient, (req, res) => {
+  savePreset(req, res, undefined);
+});
+
+app.post('/api/presets/:presetId', requireClient, (req, res) => {
+  if (!presetStore.get(req.params.presetId)) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  savePreset(req, res, req.params.presetId);
+});
+
+app.delete('/api/presets/:presetId', requireClient, (req, res) => {
+  if (!presetStore.remove(req.params.presetId)) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+
+  res.json({ success: true, presets: presetStore.list() });
+});
+
+function savePreset(req, res, presetId) {
+  const errors = validatePreset(req.body, activityValidation);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid preset', details: errors });
+  }
+
+  try {
+    const preset = presetStore.save(req.body, presetId);
+    res.json({ success: true, preset });
+  } catch (error) {
+    res.status(400).json({ error: 'Invalid preset', details: [error.message] });
+  }
+}
+
 // WebSocket接続処理
 wss.on('connection', (ws) => {
   console.log('Client WebSocket connected');
@@ -437,19 +1692,28 @@ wss.on('connection', (ws) => {
       const data = JSON.parse(message);
 
       if (data.type === 'register') {
+        const connection = activeConnections.get(data.sessionId);
+
+        if (!connection || !verifySecret(data.sessionSecret, connection.secretHash)) {
+          ws.send(JSON.stringify({ type: 'error', message: 'セッションの認証に失敗しました' }));
+          return;
+        }
+
         clientSessionId = data.sessionId;
         clientWebSockets.set(clientSessionId, ws);
         console.log(`Client registered with session: ${clientSessionId}`);
 
         // 接続状態を送信
-        const connection = activeConnections.get(clientSessionId);
-        if (connection) {
-          ws.send(JSON.stringify({
-            type: 'status',
-            connected: connection.ws && connection.ws.readyState === WebSocket.OPEN,
-            currentActivity: connection.currentActivity
-          }));
-        }
+        ws.send(JSON.stringify({
+          type: 'status',
+          ...connection.getStatus()
+        }));
+
+        // ページを再読み込みしてもログが消えないように、直近のイベントを送る
+        ws.send(JSON.stringify({
+          type: 'events',
+          events: connection.events.recent(RECENT_EVENTS_ON_REGISTER)
+        }));
       }
     } catch (error) {
       console.error('WebSocket message error:', error);
@@ -475,15 +1739,180 @@ function notifyClient(sessionId, data) {
   }
 }
 
-server.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log('Discord Status Server started successfully');
-});
+// 接続を諦めたセッションは fail() で削除済みなので、書き戻して次の起動で復元しないようにする
+function persistSession(connection) {
+  if (!sessionStore || connection.state === 'failed') return;
+
+  sessionStore.save(connection.sessionId, {
+    encryptedToken: connection.sealedToken,
+    secretHash: connection.secretHash,
+    activities: connection.activities,
+    onlineStatus: connection.onlineStatus,
+    afk: connection.afk,
+    schedule: connection.scheduler.list(),
+    rotationState: connection.scheduler.rotationState(),
+    startedAt: connection.startedAt,
+    templateVars: connection.templateVars,
+    counters: connection.counters,
+    nowPlaying: connection.nowPlaying,
+    webhooks: connection.webhooks.records(),
+    webhookOverride: connection.webhookOverride
+  });
+}
+
+function forgetSession(sessionId) {
+  if (!sessionStore) return;
+
+  sessionStore.remove(sessionId);
+}
+
+// 保存済みトークンを現在の鍵で暗号化し直す
+function restoreSealedToken(record) {
+  const sealedToken = tokenVault.rotate(record.encryptedToken);
 
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, closing all connections...');
-  for (const [sessionId, connection] of activeConnections) {
-    connection.disconnect();
+  if (sealedToken !== record.encryptedToken) {
+    sessionStore.save(record.sessionId, { encryptedToken: sealedToken });
   }
-  process.exit(0);
-});
+
+  return sealedToken;
+}
+
+// 以前の形式 (currentActivityのみ) で保存されたセッションにも対応する
+function restoreActivities(record) {
+  if (Array.isArray(record.activities)) {
+    return record.activities;
+  }
+  if (buildActivity(record.currentActivity)) {
+    return [{ ...record.currentActivity, id: generateActivityId() }];
+  }
+  return [];
+}
+
+// 保存されているセッションを復元して再接続する (プレゼンスはREADY時に再適用される)
+function restoreSessions() {
+  if (!sessionStore) return;
+
+  const records = sessionStore.list();
+
+  for (const record of records) {
+    let sealedToken;
+
+    // シークレットを導入する前に保存されたセッションは誰も操作・切断できないので、復元せずに削除する
+    if (!record.secretHash) {
+      console.warn(`[${record.sessionId}] Saved session has no secret, dropping it`);
+      sessionStore.remove(record.sessionId);
+      continue;
+    }
+
+    // 鍵の設定ミスで消してしまわないよう、復号できないセッションは保存したまま復元だけ見送る
+    try {
+      sealedToken = restoreSealedToken(record);
+    } catch (error) {
+      console.error(`[${record.sessionId}] Failed to decrypt saved token, skipping session (check TOKEN_VAULT_KEY):`, error.message);
+      continue;
+    }
+
+    const connection = new DiscordConnection(sealedToken, record.sessionId);
+    connection.secretHash = record.secretHash;
+    // 停止中に期限が切れたアクティビティは戻さず、残りは期限のタイマーを張り直す
+    const now = Date.now();
+    connection.activities = restoreActivities(record)
+      .filter(activity => !activity.expiresAt || activity.expiresAt > now);
+    connection.scheduleExpiry();
+    connection.onlineStatus = record.onlineStatus || 'online';
+    connection.afk = Boolean(record.afk);
+    connection.startedAt = record.startedAt || connection.startedAt;
+    connection.templateVars = record.templateVars || {};
+    connection.counters = record.counters || {};
+    activeConnections.set(record.sessionId, connection);
+
+    // ローテーションは保存した位置から続ける (復元したアクティビティはそのまま表示する)
+    const rotationState = record.rotationState || {};
+    for (const entry of record.schedule || []) {
+      connection.scheduler.set(entry, entry.id, {
+        rotationIndex: rotationState[entry.id] || 0,
+        applyNow: false
+      });
+    }
+    for (const webhook of record.webhooks || []) {
+      try {
+        connection.webhooks.set({ ...webhook, sealedSecret: tokenVault.rotate(webhook.sealedSecret) }, webhook.id);
+      } catch (error) {
+        console.error(`[${record.sessionId}] Failed to restore webhook ${webhook.id}:`, error.message);
+      }
+    }
+    if (record.webhookOverride) {
+      connection.webhookOverride = record.webhookOverride;
+      connection.armWebhookOverride();
+    }
+    // 許可するホストが変わっていたら、保存されていた apiUrl にはリクエストしない
+    if (record.nowPlaying && record.nowPlaying.apiUrl && !isAllowedLastFmApiUrl(record.nowPlaying.apiUrl)) {
+      console.warn(`[${record.sessionId}] Not restoring now playing source: ${record.nowPlaying.apiUrl} is not an allowed host`);
+    } else if (record.nowPlaying) {
+      try {
+        connection.startNowPlayingPoller({
+          ...record.nowPlaying,
+          sealedApiKey: tokenVault.rotate(record.nowPlaying.sealedApiKey)
+        });
+      } catch (error) {
+        console.error(`[${record.sessionId}] Failed to restore now playing source:`, error.message);
+      }
+    }
+    persistSession(connection);
+
+    connection.connect()
+      .then(() => console.log(`[${record.sessionId}] Session restored`))
+      .catch((error) => console.error(`[${record.sessionId}] Failed to restore session:`, error.message));
+  }
+
+  if (records.length > 0) {
+    console.log(`Restoring ${records.length} saved session(s)`);
+  }
+}
+
+// port に0を指定すると空いているポートで起動する (テスト用)
+function start(port = PORT) {
+  return new Promise((resolve) => {
+    server.listen(port, () => {
+      console.log(`Server is running on http://localhost:${server.address().port}`);
+      console.log('Discord Status Server started successfully');
+      restoreSessions();
+      serverReady = true;
+      resolve(server);
+    });
+  });
+}
+
+// すべての接続を閉じてサーバーを止める
+function stop() {
+  serverReady = false;
+  for (const connection of activeConnections.values()) {
+    // 保存している場合は次回起動時に復元するので、セッションは破棄しない
+    if (sessionStore) {
+      connection.shutdown();
+    } else {
+      connection.disconnect();
+    }
+  }
+  activeConnections.clear();
+
+  for (const client of wss.clients) {
+    client.terminate();
+  }
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server.closeAllConnections();
+  });
+}
+
+if (require.main === module) {
+  start();
+
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, closing all connections...');
+    stop();
+    process.exit(0);
+  });
+}
+
+module.exports = { app, server, start, stop, activeConnections };
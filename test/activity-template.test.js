@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  formatDateTime,
+  formatDuration,
+  hasPlaceholders,
+  isTemplated,
+  mergeVars,
+  renderActivity,
+  renderText,
+  validateVars
+} = require('../lib/activity-template');
+
+// 2026-03-05 07:08:09 UTC
+const NOW = Date.UTC(2026, 2, 5, 7, 8, 9);
+const context = {
+  now: NOW,
+  timeZone: 'UTC',
+  startedAt: NOW - (26 * 60 + 5) * 60 * 1000,
+  counters: { default: 3, deploys: 12 },
+  vars: { build: '1.2.3' }
+};
+
+test('formats dates and times with the given pattern', () => {
+  const date = new Date(NOW);
+
+  assert.strictEqual(formatDateTime(date, 'YYYY-MM-DD HH:mm:ss', 'UTC'), '2026-03-05 07:08:09');
+  assert.strictEqual(formatDateTime(date, 'YY/M/D h:mm A', 'UTC'), '26/3/5 7:08 AM');
+  assert.strictEqual(formatDateTime(date, 'HH:mm', 'Asia/Tokyo'), '16:08');
+});
+
+test('formats durations', () => {
+  assert.strictEqual(formatDuration(59 * 1000), '0m');
+  assert.strictEqual(formatDuration(5 * 60 * 1000), '5m');
+  assert.strictEqual(formatDuration((2 * 60 + 5) * 60 * 1000), '2h 5m');
+  assert.strictEqual(formatDuration((26 * 60 + 5) * 60 * 1000), '1d 2h 5m');
+});
+
+test('renders every placeholder kind', () => {
+  assert.strictEqual(renderText('{time}', context), '07:08');
+  assert.strictEqual(renderText('{time:HH:mm:ss}', context), '07:08:09');
+  assert.strictEqual(renderText('{date}', context), '2026-03-05');
+  assert.strictEqual(renderText('{date:MM/DD}', context), '03/05');
+  assert.strictEqual(renderText('up {uptime}', context), 'up 1d 2h 5m');
+  assert.strictEqual(renderText('#{counter} / {counter:deploys} / {counter:none}', context), '#3 / 12 / 0');
+  assert.strictEqual(renderText('build {var:build}{var:missing}', context), 'build 1.2.3');
+  // Objectのプロパティは変数やカウンターとして扱わない
+  assert.strictEqual(renderText('{counter:toString}/{var:constructor}', context), '0/');
+});
+
+test('leaves unknown placeholders and plain text alone', () => {
+  assert.strictEqual(renderText('{unknown} {} {{x', context), '{unknown} {} {{x');
+  assert.strictEqual(hasPlaceholders('no placeholders'), false);
+  assert.strictEqual(hasPlaceholders('{time}'), true);
+});
+
+test('renders only name, details and state of an activity', () => {
+  const activity = {
+    type: '0',
+    name: 'Build {var:build}',
+    details: 'since {time}',
+    state: 'plain',
+    imageText: '{time}'
+  };
+
+  assert.strictEqual(isTemplated(activity), true);
+  assert.deepStrictEqual(renderActivity(activity, context), {
+    type: '0',
+    name: 'Build 1.2.3',
+    details: 'since 07:08',
+    state: 'plain',
+    imageText: '{time}'
+  });
+
+  const plain = { type: '0', name: 'Plain' };
+  assert.strictEqual(isTemplated(plain), false);
+  assert.strictEqual(renderActivity(plain, context), plain);
+});
+
+test('truncates rendered fields to the activity length limit', () => {
+  const rendered = renderActivity({ name: '{var:long}{var:long}' }, { vars: { long: 'x'.repeat(100) } });
+  assert.strictEqual(rendered.name.length, 128);
+});
+
+test('validates and merges pushed variables', () => {
+  assert.deepStrictEqual(validateVars({ build: 'abc', count: 2, flag: true, old: null }), []);
+  assert.strictEqual(validateVars([]).length, 1);
+  assert.strictEqual(validateVars({ 'bad name': 'x' }).length, 1);
+  assert.strictEqual(validateVars({ obj: {} }).length, 1);
+  assert.strictEqual(validateVars({ long: 'x'.repeat(129) }).length, 1);
+  assert.strictEqual(validateVars(JSON.parse('{"__proto__": "x"}')).length, 1);
+
+  assert.deepStrictEqual(mergeVars({ build: '1', old: 'x' }, { build: 2, old: null }), { build: '2' });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateActivity, buildActivity } = require('../lib/activity');
+
+test('rejects activity types Discord does not accept', () => {
+  for (const type of ['', 'abc', 9, -1, 1.5, '2.5', []]) {
+    assert.deepStrictEqual(validateActivity({ type, name: 'Test' }), ['type must be an integer from 0 to 5'], String(type));
+  }
+
+  assert.deepStrictEqual(validateActivity({ type: '3', name: 'Test' }), []);
+  assert.deepStrictEqual(validateActivity({ type: 5, name: 'Test' }), []);
+  assert.deepStrictEqual(validateActivity({ name: 'Test' }), []);
+});
+
+test('treats a missing type as Playing', () => {
+  assert.strictEqual(buildActivity({ name: 'Test' }).type, 0);
+  assert.strictEqual(buildActivity({ type: '2', name: 'Test' }).type, 2);
+});
+
+test('rejects Custom Status where it is not allowed', () => {
+  const customStatus = { type: '4', state: 'Busy' };
+
+  assert.deepStrictEqual(validateActivity(customStatus), []);
+  assert.deepStrictEqual(
+    validateActivity(customStatus, { allowCustomStatus: false }),
+    ['type 4 (Custom Status) is not allowed here']
+  );
+});
+
+test('rejects text fields that are not strings', () => {
+  for (const value of [42, ['Test'], { text: 'Test' }, true]) {
+    assert.deepStrictEqual(
+      validateActivity({ type: '0', name: 'Test', details: value, state: value, imageText: value }),
+      ['details must be a string', 'state must be a string', 'imageText must be a string'],
+      JSON.stringify(value)
+    );
+  }
+
+  assert.deepStrictEqual(validateActivity({ type: '0', name: 42 }), ['name must be a string']);
+  assert.deepStrictEqual(validateActivity({ type: '0', name: 'Test', imageUrl: ['https://example.com/a.png'] }), ['imageUrl must be a string']);
+  assert.deepStrictEqual(validateActivity({ type: '1', name: 'Test', url: ['https://twitch.tv/x'] }), ['url must be a string']);
+  assert.deepStrictEqual(
+    validateActivity({ type: '0', name: 'Test', buttons: [{ label: 12, url: 'https://example.com' }] }),
+    ['buttons[0].label must be 1-32 characters']
+  );
+});
@@ -0,0 +1,64 @@
+// 夏時間の切り替えを確認するため、最初にタイムゾーンを固定する
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextRun } = require('../lib/cron');
+
+function next(expression, from) {
+  const time = nextRun(expression, new Date(from).getTime());
+  return time === null ? null : new Date(time).toISOString();
+}
+
+test('parses lists, ranges and steps', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 * 1-5');
+
+  assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...cron.hour], [9, 13, 17]);
+  assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+  assert.strictEqual(cron.month.size, 12);
+  assert.deepStrictEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0), '7 is also Sunday');
+  assert.deepStrictEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+});
+
+test('rejects malformed expressions', () => {
+  for (const expression of ['* * * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'a * * * *']) {
+    assert.throws(() => parseCron(expression), /cron/i, expression);
+  }
+});
+
+test('finds the next matching minute', () => {
+  // 2026-10-19 は月曜日 (EDT, UTC-4)
+  assert.strictEqual(next('*/15 * * * *', '2026-10-19T14:07:30Z'), '2026-10-19T14:15:00.000Z');
+  assert.strictEqual(next('0 9 * * 1-5', '2026-10-16T14:00:00Z'), '2026-10-19T13:00:00.000Z');
+  assert.strictEqual(next('0 0 1 1 *', '2026-10-19T00:00:00Z'), '2027-01-01T05:00:00.000Z');
+  // ちょうど一致する時刻からは次の回を返す
+  assert.strictEqual(next('0 * * * *', '2026-10-19T14:00:00Z'), '2026-10-19T15:00:00.000Z');
+  assert.strictEqual(next('0 0 31 2 *', '2026-01-01T00:00:00Z'), null);
+});
+
+test('matches either day of month or day of week when both are restricted', () => {
+  // 13日か金曜日 (2026-10-02 は金曜日)
+  assert.strictEqual(next('0 0 13 * 5', '2026-10-01T12:00:00Z'), '2026-10-02T04:00:00.000Z');
+  assert.strictEqual(next('0 0 13 * 5', '2026-10-10T12:00:00Z'), '2026-10-13T04:00:00.000Z');
+  // 片方が * ならもう片方だけで決まる
+  assert.strictEqual(next('0 0 13 * *', '2026-10-01T12:00:00Z'), '2026-10-13T04:00:00.000Z');
+  assert.strictEqual(next('0 0 * * 5', '2026-10-03T12:00:00Z'), '2026-10-09T04:00:00.000Z');
+});
+
+test('runs fixed times skipped by the spring forward right after the jump', () => {
+  // 2026-03-08 02:00 EST に03:00 EDTへ進む
+  assert.strictEqual(next('30 2 * * *', '2026-03-07T08:00:00Z'), '2026-03-08T07:00:00.000Z');
+  assert.strictEqual(next('30 2 * * *', '2026-03-08T07:00:00Z'), '2026-03-09T06:30:00.000Z');
+  // * で始まる式は飛ばされた時刻を実行しない
+  assert.strictEqual(next('0 * * * *', '2026-03-08T06:30:00Z'), '2026-03-08T07:00:00.000Z');
+});
+
+test('runs fixed times once when the clock falls back', () => {
+  // 2026-11-01 02:00 EDT に01:00 ESTへ戻る
+  assert.strictEqual(next('30 1 * * *', '2026-11-01T04:00:00Z'), '2026-11-01T05:30:00.000Z');
+  assert.strictEqual(next('30 1 * * *', '2026-11-01T05:30:00Z'), '2026-11-02T06:30:00.000Z');
+  // * で始まる式は戻った1時間も実行する
+  assert.strictEqual(next('*/20 * * * *', '2026-11-01T05:45:00Z'), '2026-11-01T06:00:00.000Z');
+});
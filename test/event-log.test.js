@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventLog } = require('../lib/event-log');
+
+test('keeps only the most recent events', () => {
+  const log = new EventLog({ maxEvents: 3 });
+  for (let i = 0; i < 5; i++) {
+    log.record('presence', { i });
+  }
+
+  assert.deepStrictEqual(log.recent(10).map(event => event.seq), [3, 4, 5]);
+  assert.strictEqual(log.recent(10)[0].type, 'presence');
+});
+
+test('pages backwards and forwards by sequence number', () => {
+  const log = new EventLog({ maxEvents: 100 });
+  for (let i = 0; i < 10; i++) {
+    log.record('presence');
+  }
+
+  const latest = log.page({ limit: 4 });
+  assert.deepStrictEqual(latest.events.map(event => event.seq), [7, 8, 9, 10]);
+  assert.strictEqual(latest.nextBefore, 7);
+  assert.strictEqual(latest.lastSeq, 10);
+
+  const older = log.page({ before: latest.nextBefore, limit: 4 });
+  assert.deepStrictEqual(older.events.map(event => event.seq), [3, 4, 5, 6]);
+
+  const oldest = log.page({ before: older.nextBefore, limit: 4 });
+  assert.deepStrictEqual(oldest.events.map(event => event.seq), [1, 2]);
+  assert.strictEqual(oldest.nextBefore, null);
+
+  assert.deepStrictEqual(log.page({ after: 8 }).events.map(event => event.seq), [9, 10]);
+});
+
+test('writes events to disk and reloads them', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-log-'));
+  const filePath = path.join(dir, 'events', 'session.jsonl');
+
+  try {
+    const log = new EventLog({ maxEvents: 2, filePath });
+    for (let i = 0; i < 6; i++) {
+      log.record('close', { code: 4000 + i });
+    }
+    // maxEvents の2倍を超えたら書き直している
+    assert.ok(fs.readFileSync(filePath, 'utf8').trim().split('\n').length <= 4);
+
+    const reloaded = new EventLog({ maxEvents: 2, filePath });
+    assert.deepStrictEqual(reloaded.recent(10).map(event => event.code), [4004, 4005]);
+    assert.strictEqual(reloaded.record('ready').seq, 7);
+
+    reloaded.removeFile();
+    assert.strictEqual(fs.existsSync(filePath), false);
+    reloaded.record('close');
+    assert.strictEqual(fs.existsSync(filePath), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const etf = require('../lib/etf');
+const { GatewayProfile } = require('../lib/gateway-profile');
+const {
+  GatewayTransport,
+  ZlibStreamDeflater,
+  ZlibStreamInflater,
+  buildGatewayUrl,
+  createDispatchFilter,
+  peekJson,
+  validateTransportOptions
+} = require('../lib/gateway-transport');
+const { MockGateway } = require('../tools/mock-gateway');
+
+test('round-trips Gateway payloads through ETF', () => {
+  const payload = {
+    op: 3,
+    d: {
+      since: 0,
+      activities: [{
+        name: 'Testing',
+        type: 0,
+        timestamps: { start: 1792387775878 },
+        assets: {},
+        buttons: ['日本語のボタン']
+      }],
+      status: 'online',
+      afk: false,
+      ratio: 1.5,
+      negative: -300000,
+      missing: null
+    }
+  };
+
+  assert.deepStrictEqual(etf.decode(etf.encode(payload)), payload);
+  assert.deepStrictEqual(etf.decode(etf.encode({ list: [], skipped: undefined })), { list: [] });
+});
+
+test('decodes atoms and snowflakes the way Discord sends them', () => {
+  // { user_id => 175928847299117063 (SMALL_BIG), ok => true, t => nil } (キーはアトム)
+  const snowflake = 175928847299117063n;
+  const bytes = [];
+  for (let value = snowflake; value > 0n; value >>= 8n) {
+    bytes.push(Number(value & 0xffn));
+  }
+  const atom = name => [119, name.length, ...Buffer.from(name)];
+  const buffer = Buffer.from([
+    131, 116, 0, 0, 0, 3,
+    ...atom('user_id'), 110, bytes.length, 0, ...bytes,
+    ...atom('ok'), ...atom('true'),
+    ...atom('t'), ...atom('nil')
+  ]);
+
+  assert.deepStrictEqual(etf.decode(buffer), { user_id: '175928847299117063', ok: true, t: null });
+  assert.throws(() => etf.decode(Buffer.from([131, 116, 0, 0, 0, 1])), /truncated/);
+});
+
+test('inflates zlib-stream messages with a shared context, even when split across frames', async () => {
+  const deflater = new ZlibStreamDeflater();
+  const inflater = new ZlibStreamInflater();
+  const messages = [
+    JSON.stringify({ op: 10, d: { heartbeat_interval: 41250 } }),
+    JSON.stringify({ op: 0, t: 'READY', d: { session_id: 'abc', guilds: Array(50).fill({ id: '1' }) } }),
+    JSON.stringify({ op: 11 })
+  ];
+
+  try {
+    const decoded = [];
+    for (const message of messages) {
+      const compressed = await deflater.push(message);
+      const middle = Math.floor(compressed.length / 2);
+
+      assert.strictEqual(await inflater.push(compressed.subarray(0, middle)), null);
+      decoded.push((await inflater.push(compressed.subarray(middle))).toString());
+    }
+
+    assert.deepStrictEqual(decoded, messages);
+  } finally {
+    deflater.close();
+    inflater.close();
+  }
+});
+
+test('builds the Gateway URL for each transport mode', () => {
+  assert.strictEqual(buildGatewayUrl('wss://gateway.discord.gg'), 'wss://gateway.discord.gg/?v=9&encoding=json');
+  assert.strictEqual(
+    buildGatewayUrl('wss://gateway.discord.gg', { encoding: 'etf', compress: 'zlib-stream' }),
+    'wss://gateway.discord.gg/?v=9&encoding=etf&compress=zlib-stream'
+  );
+  assert.deepStrictEqual(validateTransportOptions({ encoding: 'etf', compress: 'zlib-stream' }), []);
+  assert.strictEqual(validateTransportOptions({ encoding: 'xml', compress: 'gzip' }).length, 2);
+});
+
+test('peeks at op, t and s without decoding the body', () => {
+  const payload = { t: 'MESSAGE_CREATE', s: 42, op: 0, d: { content: '{"t":"READY"}', nested: [{ op: 1 }] } };
+
+  assert.deepStrictEqual(peekJson(Buffer.from(JSON.stringify(payload))), { t: 'MESSAGE_CREATE', s: 42, op: 0 });
+  assert.deepStrictEqual(peekJson(Buffer.from(' { "d" : {"t":"X"}, "op" : 11 }')), { op: 11 });
+  assert.deepStrictEqual(etf.peek(etf.encode(payload), ['op', 't', 's']), { t: 'MESSAGE_CREATE', s: 42, op: 0 });
+});
+
+test('always keeps READY and RESUMED in the dispatch filter', () => {
+  const filter = createDispatchFilter('SESSIONS_REPLACE, ');
+
+  assert.ok(filter('READY'));
+  assert.ok(filter('RESUMED'));
+  assert.ok(filter('SESSIONS_REPLACE'));
+  assert.ok(!filter('MESSAGE_CREATE'));
+  assert.strictEqual(createDispatchFilter('*'), null);
+});
+
+for (const options of [{ encoding: 'json' }, { encoding: 'etf', compress: 'zlib-stream' }]) {
+  test(`skips filtered dispatches and profiles them (${options.encoding})`, async () => {
+    const gateway = new MockGateway({ heartbeatInterval: 60000 });
+    const url = await gateway.start(0);
+    const profile = new GatewayProfile();
+    const connected = gateway.waitFor('connection');
+    const transport = new GatewayTransport(url, {
+      ...options,
+      dispatchFilter: createDispatchFilter('READY,RESUMED'),
+      profile
+    });
+
+    try {
+      const payloads = [];
+      const skipped = [];
+      transport.on('payload', payload => payloads.push(payload));
+      transport.on('skipped', envelope => skipped.push(envelope));
+      const ready = new Promise(resolve => transport.on('payload', payload => payload.t === 'READY' && resolve()));
+      await connected;
+
+      gateway.broadcast({ op: 0, s: 2, t: 'MESSAGE_CREATE', d: { content: 'x'.repeat(1000) } });
+      gateway.broadcast({ op: 0, s: 3, t: 'READY', d: { session_id: 'abc' } });
+      await ready;
+
+      assert.deepStrictEqual(skipped, [{ op: 0, s: 2, t: 'MESSAGE_CREATE' }]);
+      assert.deepStrictEqual(payloads.map(payload => payload.t || `op${payload.op}`), ['op10', 'READY']);
+
+      const { total, events } = profile.toJSON();
+      assert.strictEqual(total.count, 3);
+      assert.strictEqual(events[0].type, 'MESSAGE_CREATE');
+      assert.strictEqual(events[0].skipped, 1);
+      assert.ok(events[0].bytes > 1000);
+      assert.ok(events[0].wireBytes > 0);
+    } finally {
+      transport.close(1000);
+      await gateway.stop();
+    }
+  });
+}
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fetch = require('node-fetch');
+const {
+  ImageResolver,
+  createSpotifyImageSource,
+  createExternalImageSource
+} = require('../lib/image-sources');
+
+const IMAGE_ID = 'ab67616d0000b273e8b066f70c206551210d902b';
+
+// Discordの external-assets API の代わりになるスタブサーバー
+function startDiscordStub() {
+  return new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+        const { urls } = JSON.parse(body);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(urls.map(url => ({
+          url,
+          external_asset_path: `external/hash123/${url.replace('://', '/')}`
+        }))));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        requests,
+        apiUrl: `http://127.0.0.1:${server.address().port}/api/v9`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+test('spotify source converts Spotify images to spotify: assets', async () => {
+  const source = createSpotifyImageSource();
+
+  assert.ok(source.matches(`https://i.scdn.co/image/${IMAGE_ID}`));
+  assert.ok(source.matches(`spotify:${IMAGE_ID}`));
+  assert.ok(!source.matches('https://example.com/cover.png'));
+  assert.strictEqual(await source.resolve(`https://i.scdn.co/image/${IMAGE_ID}`), `spotify:${IMAGE_ID}`);
+});
+
+test('external source keeps mp: assets and maps Discord CDN URLs directly', async () => {
+  const source = createExternalImageSource({ fetch: () => assert.fail('should not fetch') });
+
+  assert.ok(source.matches('mp:external/abc/https/example.com/a.png'));
+  assert.ok(!source.matches('http://example.com/a.png'));
+  // applicationId がなければ登録が必要な画像は扱わない
+  assert.ok(!source.matches('https://example.com/a.png'));
+  assert.ok(source.matches('https://cdn.discordapp.com/attachments/1/2/a.png'));
+  assert.strictEqual(await source.resolve('mp:attachments/1/2/a.png'), 'mp:attachments/1/2/a.png');
+  assert.strictEqual(
+    await source.resolve('https://media.discordapp.net/attachments/1/2/a.png?width=128'),
+    'mp:attachments/1/2/a.png?width=128'
+  );
+});
+
+test('external source registers other https URLs through external-assets', async () => {
+  const stub = await startDiscordStub();
+  const source = createExternalImageSource({ fetch, apiUrl: stub.apiUrl, applicationId: '1234' });
+
+  try {
+    assert.ok(source.matches('https://example.com/cover.png'));
+    const asset = await source.resolve('https://example.com/cover.png', { getToken: () => 'user-token' });
+
+    assert.strictEqual(asset, 'mp:external/hash123/https/example.com/cover.png');
+    assert.deepStrictEqual(stub.requests, [{
+      url: '/api/v9/applications/1234/external-assets',
+      authorization: 'user-token',
+      body: { urls: ['https://example.com/cover.png'] }
+    }]);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('external source needs an application id and token', async () => {
+  const source = createExternalImageSource({ fetch });
+
+  await assert.rejects(source.resolve('https://example.com/cover.png', {}), /DISCORD_APPLICATION_ID/);
+});
+
+test('resolver picks the first matching source and caches the result', async () => {
+  let calls = 0;
+  const counting = {
+    name: 'counting',
+    matches: url => url.startsWith('https://'),
+    resolve: async (url) => {
+      calls++;
+      return `mp:external/${calls}`;
+    }
+  };
+  const resolver = new ImageResolver([createSpotifyImageSource(), counting]);
+
+  assert.strictEqual(await resolver.resolve(`https://i.scdn.co/image/${IMAGE_ID}`), `spotify:${IMAGE_ID}`);
+  assert.strictEqual(await resolver.resolve('https://example.com/a.png'), 'mp:external/1');
+  assert.strictEqual(await resolver.resolve('https://example.com/a.png'), 'mp:external/1');
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(await resolver.resolve('ftp://example.com/a.png'), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Registry } = require('../lib/metrics');
+
+test('renders counters and gauges in Prometheus text format', () => {
+  const registry = new Registry();
+  const counter = registry.counter('reconnects_total', 'Reconnects by close code');
+  registry.gauge('sessions', 'Sessions by state', () => [
+    { labels: { state: 'connected' }, value: 2 },
+    { labels: { state: 'failed' }, value: 0 }
+  ]);
+
+  counter.inc({ code: 4000 });
+  counter.inc({ code: 4000 });
+  counter.inc({ code: 1006 }, 3);
+
+  assert.strictEqual(registry.render(), [
+    '# HELP reconnects_total Reconnects by close code',
+    '# TYPE reconnects_total counter',
+    'reconnects_total{code="4000"} 2',
+    'reconnects_total{code="1006"} 3',
+    '# HELP sessions Sessions by state',
+    '# TYPE sessions gauge',
+    'sessions{state="connected"} 2',
+    'sessions{state="failed"} 0',
+    ''
+  ].join('\n'));
+});
+
+test('renders cumulative histogram buckets', () => {
+  const registry = new Registry();
+  const histogram = registry.histogram('latency_seconds', 'Latency', [0.1, 1]);
+
+  histogram.observe({ result: 'miss' }, 0.05);
+  histogram.observe({ result: 'miss' }, 0.5);
+  histogram.observe({ result: 'miss' }, 2);
+
+  assert.deepStrictEqual(registry.render().trim().split('\n').slice(2), [
+    'latency_seconds_bucket{result="miss",le="0.1"} 1',
+    'latency_seconds_bucket{result="miss",le="1"} 2',
+    'latency_seconds_bucket{result="miss",le="+Inf"} 3',
+    'latency_seconds_sum{result="miss"} 2.55',
+    'latency_seconds_count{result="miss"} 3'
+  ]);
+});
+
+test('escapes label values', () => {
+  const registry = new Registry();
+  registry.counter('errors_total', 'Errors').inc({ message: 'say "hi"\\\n' });
+
+  assert.match(registry.render(), /errors_total\{message="say \\"hi\\"\\\\\\n"\} 1/);
+});
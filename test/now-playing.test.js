@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fetch = require('node-fetch');
+const {
+  LastFmPoller,
+  isSamePlayback,
+  parseRecentTracks,
+  trackToActivity,
+  validateTrack
+} = require('../lib/now-playing');
+const { validateActivity } = require('../lib/activity');
+
+// Last.fm の user.getrecenttracks の代わりになるスタブサーバー
+function startFeed() {
+  return new Promise((resolve) => {
+    const feed = { track: null, requests: [] };
+    const server = http.createServer((req, res) => {
+      feed.requests.push(new URL(req.url, 'http://localhost').searchParams);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ recenttracks: { track: feed.track ? [feed.track] : [] } }));
+    });
+    server.listen(0, '127.0.0.1', () => {
+      feed.url = `http://127.0.0.1:${server.address().port}/2.0/`;
+      feed.close = () => new Promise(done => server.close(done));
+      resolve(feed);
+    });
+  });
+}
+
+function lastFmTrack(name, nowPlaying = true) {
+  return {
+    name,
+    artist: { '#text': 'Rick Astley' },
+    album: { '#text': 'Whenever You Need Somebody' },
+    image: [
+      { size: 'small', '#text': 'https://lastfm.freetls.fastly.net/i/u/34s/cover.png' },
+      { size: 'extralarge', '#text': 'https://lastfm.freetls.fastly.net/i/u/300x300/cover.png' }
+    ],
+    ...(nowPlaying ? { '@attr': { nowplaying: 'true' } } : {})
+  };
+}
+
+test('converts a track into a Listening activity with timestamps', () => {
+  const activity = trackToActivity({
+    title: 'Never Gonna Give You Up',
+    artist: 'Rick Astley',
+    album: 'Whenever You Need Somebody',
+    coverUrl: 'https://example.com/cover.png',
+    durationMs: 213000,
+    positionMs: 13000
+  }, { now: 100000 });
+
+  assert.deepStrictEqual(activity, {
+    type: '2',
+    name: 'Music',
+    details: 'Never Gonna Give You Up',
+    state: 'by Rick Astley',
+    startTimestamp: 87000,
+    endTimestamp: 300000,
+    imageUrl: 'https://example.com/cover.png',
+    imageText: 'Whenever You Need Somebody'
+  });
+  assert.deepStrictEqual(validateActivity(activity), []);
+});
+
+test('validates incoming tracks', () => {
+  assert.deepStrictEqual(validateTrack({ title: 'Song' }), []);
+  assert.strictEqual(validateTrack(null).length, 1);
+  assert.strictEqual(validateTrack({ title: '' }).length, 1);
+  assert.strictEqual(validateTrack({ title: 'Song', positionMs: -1 }).length, 1);
+});
+
+test('treats small position drift as the same playback', () => {
+  const track = { title: 'Song', artist: 'Artist', durationMs: 200000 };
+  const first = trackToActivity({ ...track, positionMs: 10000 }, { now: 50000 });
+  const drifted = trackToActivity({ ...track, positionMs: 12000 }, { now: 53000 });
+  const seeked = trackToActivity({ ...track, positionMs: 90000 }, { now: 53000 });
+
+  assert.strictEqual(isSamePlayback(first, drifted), true);
+  assert.strictEqual(isSamePlayback(first, seeked), false);
+  assert.strictEqual(isSamePlayback(null, first), false);
+});
+
+test('only reports the track that is currently playing', () => {
+  assert.deepStrictEqual(parseRecentTracks({ recenttracks: { track: [lastFmTrack('Song')] } }), {
+    title: 'Song',
+    artist: 'Rick Astley',
+    album: 'Whenever You Need Somebody',
+    coverUrl: 'https://lastfm.freetls.fastly.net/i/u/300x300/cover.png'
+  });
+  assert.strictEqual(parseRecentTracks({ recenttracks: { track: [lastFmTrack('Song', false)] } }), null);
+  assert.strictEqual(parseRecentTracks({}), null);
+});
+
+test('polls the feed and reports only track changes', async () => {
+  const feed = await startFeed();
+  const reported = [];
+  const poller = new LastFmPoller({
+    fetch,
+    user: 'rick',
+    apiKey: 'key',
+    apiUrl: feed.url,
+    onTrack: track => reported.push(track && track.title)
+  });
+
+  try {
+    feed.track = lastFmTrack('First');
+    await poller.start();
+    await poller.poll();
+    feed.track = lastFmTrack('Second');
+    await poller.poll();
+    feed.track = null;
+    await poller.poll();
+
+    assert.deepStrictEqual(reported, ['First', 'Second', null]);
+    assert.strictEqual(feed.requests[0].get('method'), 'user.getrecenttracks');
+    assert.strictEqual(feed.requests[0].get('user'), 'rick');
+    assert.strictEqual(feed.requests[0].get('api_key'), 'key');
+  } finally {
+    poller.stop();
+    await feed.close();
+  }
+});
+
+test('reports feed errors without throwing', async () => {
+  const errors = [];
+  const poller = new LastFmPoller({
+    fetch: async () => ({ ok: false, status: 503 }),
+    user: 'rick',
+    apiKey: 'key',
+    onTrack: () => assert.fail('should not report a track'),
+    onError: error => errors.push(error.message)
+  });
+
+  await poller.start();
+  poller.stop();
+  assert.deepStrictEqual(errors, ['recent tracks request failed (HTTP 503)']);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { buildPresencePayload } = require('../lib/presence');
+
+// fixtures/presence/*.json: { state: buildPresencePayloadの引数, payload: Gatewayに送るop 3 }
+const fixtureDir = path.join(__dirname, 'fixtures', 'presence');
+
+for (const file of fs.readdirSync(fixtureDir).filter(name => name.endsWith('.json'))) {
+  const { state, payload } = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+
+  test(`builds the presence payload for ${path.basename(file, '.json')}`, () => {
+    assert.deepStrictEqual(buildPresencePayload(state), payload);
+  });
+}
+
+test('defaults to online with no activities', () => {
+  assert.deepStrictEqual(buildPresencePayload(), {
+    op: 3,
+    d: { since: 0, activities: [], status: 'online', afk: false }
+  });
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Scheduler, validateScheduleEntry } = require('../lib/scheduler');
+
+const MINUTE = 60 * 1000;
+
+function createScheduler() {
+  const applied = [];
+  const scheduler = new Scheduler(activity => applied.push(activity.name));
+  return { scheduler, applied };
+}
+
+const rotation = {
+  type: 'rotation',
+  intervalMinutes: 5,
+  activities: [{ name: 'One' }, { name: 'Two' }, { name: 'Three' }]
+};
+
+test('rotates through the activities at the interval', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19) });
+  const { scheduler, applied } = createScheduler();
+
+  const entry = scheduler.set(rotation, 'rot');
+  assert.deepStrictEqual(applied, ['One']);
+  assert.deepStrictEqual(scheduler.nextChange(), {
+    entryId: 'rot',
+    at: Date.now() + 5 * MINUTE,
+    activity: { name: 'Two' }
+  });
+
+  t.mock.timers.tick(5 * MINUTE);
+  t.mock.timers.tick(5 * MINUTE);
+  t.mock.timers.tick(5 * MINUTE);
+  assert.deepStrictEqual(applied, ['One', 'Two', 'Three', 'One']);
+  assert.deepStrictEqual(scheduler.rotationState(), { [entry.id]: 4 });
+
+  scheduler.remove('rot');
+  t.mock.timers.tick(10 * MINUTE);
+  assert.strictEqual(applied.length, 4);
+  assert.strictEqual(scheduler.nextChange(), null);
+});
+
+test('continues a restored rotation without applying immediately', (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.UTC(2026, 9, 19) });
+  const { scheduler, applied } = createScheduler();
+
+  scheduler.set(rotation, 'rot', { rotationIndex: 2, applyNow: false });
+  assert.deepStrictEqual(applied, []);
+  assert.deepStrictEqual(scheduler.nextChange().activity, { name: 'Three' });
+
+  t.mock.timers.tick(5 * MINUTE);
+  assert.deepStrictEqual(applied, ['Three']);
+});
+
+test('applies a cron entry once at each matching time', (t) => {
+  // 2026-10-19 09:29 (ローカル時刻)
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2026, 9, 19, 9, 29).getTime() });
+  const { scheduler, applied } = createScheduler();
+
+  scheduler.set({ type: 'cron', cron: '30 9 * * *', activity: { name: 'Standup' } }, 'cron');
+  assert.deepStrictEqual(applied, []);
+  assert.strictEqual(scheduler.nextChange().at, new Date(2026, 9, 19, 9, 30).getTime());
+
+  t.mock.timers.tick(MINUTE);
+  assert.deepStrictEqual(applied, ['Standup']);
+  assert.strictEqual(scheduler.nextChange().at, new Date(2026, 9, 20, 9, 30).getTime());
+
+  t.mock.timers.tick(MINUTE);
+  assert.deepStrictEqual(applied, ['Standup']);
+
+  scheduler.stop();
+  assert.strictEqual(scheduler.nextChange(), null);
+});
+
+test('validates schedule entries', () => {
+  assert.deepStrictEqual(validateScheduleEntry(rotation), []);
+  assert.deepStrictEqual(validateScheduleEntry({ type: 'cron', cron: '0 9 * * 1-5', activity: { name: 'Work' } }), []);
+
+  assert.ok(validateScheduleEntry({ ...rotation, intervalMinutes: 0.5 }).some(error => /intervalMinutes/.test(error)));
+  assert.ok(validateScheduleEntry({ ...rotation, activities: [] }).some(error => /activities/.test(error)));
+  assert.ok(validateScheduleEntry({ type: 'cron', cron: '* *', activity: { name: 'x' } }).some(error => /5 fields/.test(error)));
+  assert.deepStrictEqual(validateScheduleEntry({ type: 'cron', cron: '* * * * *', activity: { name: '' } }), [
+    'activity: Activity has nothing to display'
+  ]);
+  assert.deepStrictEqual(validateScheduleEntry({ type: 'once' }), ['type must be "rotation" or "cron"']);
+});
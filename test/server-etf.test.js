@@ -0,0 +1,5 @@
+// server.test.js と同じテストを ETF + zlib-stream で実行する
+process.env.GATEWAY_ENCODING = 'etf';
+process.env.GATEWAY_COMPRESS = 'zlib-stream';
+
+require('./server.test');
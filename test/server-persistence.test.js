@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+const { MockGateway } = require('../tools/mock-gateway');
+const { TokenVault } = require('../lib/token-vault');
+
+// DATA_DIR を指定した場合の保存と、再起動時の復元を確認する
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discord-status-'));
+const gateway = new MockGateway({ heartbeatInterval: 100 });
+let app = null;
+let baseUrl;
+
+// 同じDATA_DIRのままサーバーを起動し直す
+async function restartServer() {
+  if (app) {
+    await app.stop();
+  }
+  delete require.cache[require.resolve('../server')];
+  app = require('../server');
+  const server = await app.start(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+function savedSessions() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, 'sessions.json'), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+test.before(async () => {
+  process.env.DISCORD_GATEWAY_URL = await gateway.start();
+  process.env.TOKEN_VAULT_KEY = TokenVault.generateKey();
+  process.env.DATA_DIR = dataDir;
+  await restartServer();
+});
+
+test.after(async () => {
+  await app.stop();
+  await gateway.stop();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function request(method, path, { body, secret } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers.Authorization = `Bearer ${secret}`;
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function connect(token = 'test-token') {
+  const { status, body } = await request('POST', '/api/connect', { body: { token } });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return body;
+}
+
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail('Timed out waiting for condition');
+}
+
+test('saves sessions with the token sealed', async () => {
+  const session = await connect('saved-token');
+
+  const record = savedSessions()[session.sessionId];
+  assert.ok(record);
+  assert.match(record.encryptedToken, /^v1:/);
+  assert.ok(!JSON.stringify(record).includes('saved-token'));
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+  assert.strictEqual(savedSessions()[session.sessionId], undefined);
+});
+
+test('does not write failed sessions back to the store', async () => {
+  const session = await connect();
+  const status = () => request('GET', `/api/status/${session.sessionId}`, { secret: session.sessionSecret });
+
+  gateway.drop(4004);
+  await waitUntil(async () => (await status()).body.state === 'failed');
+  assert.strictEqual(savedSessions()[session.sessionId], undefined);
+
+  const { status: code, body } = await request('POST', '/api/update-status', {
+    secret: session.sessionSecret,
+    body: { sessionId: session.sessionId, activity: { type: '0', name: 'After failure' } }
+  });
+  assert.strictEqual(code, 410);
+  assert.ok(body.details[0]);
+  assert.strictEqual(savedSessions()[session.sessionId], undefined);
+
+  // 状態の確認と切断はできる
+  assert.strictEqual((await status()).status, 200);
+  const disconnected = await request('POST', '/api/disconnect', {
+    secret: session.sessionSecret,
+    body: { sessionId: session.sessionId }
+  });
+  assert.strictEqual(disconnected.status, 200);
+});
+
+test('refuses to start with DATA_DIR but no token vault key', () => {
+  const originalKey = process.env.TOKEN_VAULT_KEY;
+  delete process.env.TOKEN_VAULT_KEY;
+
+  try {
+    delete require.cache[require.resolve('../server')];
+    assert.throws(() => require('../server'), /TOKEN_VAULT_KEY/);
+  } finally {
+    process.env.TOKEN_VAULT_KEY = originalKey;
+  }
+});
+
+test('keeps saved sessions that cannot be decrypted with the current key', async () => {
+  const session = await connect();
+  const originalKey = process.env.TOKEN_VAULT_KEY;
+
+  try {
+    process.env.TOKEN_VAULT_KEY = TokenVault.generateKey();
+    await restartServer();
+
+    assert.ok(!app.activeConnections.has(session.sessionId));
+    assert.ok(savedSessions()[session.sessionId]);
+
+    // 元の鍵に戻せば復元できる
+    process.env.TOKEN_VAULT_KEY = originalKey;
+    await restartServer();
+    assert.ok(app.activeConnections.has(session.sessionId));
+  } finally {
+    process.env.TOKEN_VAULT_KEY = originalKey;
+  }
+
+  await waitUntil(() => app.activeConnections.get(session.sessionId).state === 'connected');
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('drops saved sessions that have no session secret', async () => {
+  const vault = TokenVault.fromEnv();
+  const sessions = savedSessions();
+  sessions.legacysession = { encryptedToken: vault.seal('legacy-token'), activities: [] };
+  fs.writeFileSync(path.join(dataDir, 'sessions.json'), JSON.stringify(sessions));
+
+  await restartServer();
+
+  assert.ok(!app.activeConnections.has('legacysession'));
+  assert.strictEqual(savedSessions().legacysession, undefined);
+  assert.ok(!gateway.identifies.some(identify => identify.token === 'legacy-token'));
+});
+
+test('restores a rotation where it left off without overwriting the activities', async () => {
+  const session = await connect();
+  const { status } = await request('POST', `/api/sessions/${session.sessionId}/schedule`, {
+    secret: session.sessionSecret,
+    body: {
+      entry: {
+        type: 'rotation',
+        intervalMinutes: 60,
+        activities: [{ type: '0', name: 'One' }, { type: '0', name: 'Two' }, { type: '0', name: 'Three' }]
+      }
+    }
+  });
+  assert.strictEqual(status, 200);
+
+  // 間隔を待たずに2つ目へ進める
+  const { scheduler } = app.activeConnections.get(session.sessionId);
+  const [entry] = scheduler.list();
+  scheduler.clearTimer(entry.id);
+  scheduler.runRotation(entry);
+  await waitUntil(() => (savedSessions()[session.sessionId].activities[0] || {}).name === 'Two');
+
+  await restartServer();
+
+  const connection = app.activeConnections.get(session.sessionId);
+  assert.strictEqual(connection.currentActivity.name, 'Two');
+  assert.strictEqual(connection.scheduler.nextChange().activity.name, 'Three');
+
+  await waitUntil(() => connection.state === 'connected');
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('drops expired activities on restore and keeps clearing the rest on time', async () => {
+  const session = await connect();
+  const addActivity = activity => request('POST', `/api/sessions/${session.sessionId}/activities`, {
+    secret: session.sessionSecret,
+    body: { activity }
+  });
+  const activityNames = async () => {
+    const { body } = await request('GET', `/api/sessions/${session.sessionId}/activities`, { secret: session.sessionSecret });
+    return body.activities.map(activity => activity.name);
+  };
+
+  assert.strictEqual((await addActivity({ type: '0', name: 'Soon', expiresAt: Date.now() + 1500 })).status, 200);
+  assert.strictEqual((await addActivity({ type: '0', name: 'Stays' })).status, 200);
+  await waitUntil(() => savedSessions()[session.sessionId].activities.length === 2);
+
+  // 停止中に期限が切れたアクティビティを保存済みのものに混ぜる
+  await app.stop();
+  app = null;
+  const saved = savedSessions();
+  saved[session.sessionId].activities.push({ id: 'expired', type: '0', name: 'Expired', expiresAt: Date.now() - 1000 });
+  fs.writeFileSync(path.join(dataDir, 'sessions.json'), JSON.stringify(saved));
+
+  await restartServer();
+  assert.deepStrictEqual(await activityNames(), ['Soon', 'Stays']);
+
+  await waitUntil(async () => !(await activityNames()).includes('Soon'));
+  assert.deepStrictEqual(await activityNames(), ['Stays']);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
@@ -0,0 +1,5 @@
+// server.test.js と同じテストを zlib-stream で圧縮したJSONで実行する
+process.env.GATEWAY_ENCODING = 'json';
+process.env.GATEWAY_COMPRESS = 'zlib-stream';
+
+require('./server.test');
@@ -0,0 +1,564 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fetch = require('node-fetch');
+const WebSocket = require('ws');
+const { MockGateway } = require('../tools/mock-gateway');
+
+// /api/connect から /api/disconnect までをモックのGatewayに対して通しで確認する
+// GATEWAY_ENCODING / GATEWAY_COMPRESS を変えて同じテストを実行できる (server-etf.test.js など)
+const encoding = process.env.GATEWAY_ENCODING || 'json';
+const compress = process.env.GATEWAY_COMPRESS || null;
+const gateway = new MockGateway({ heartbeatInterval: 100 });
+let baseUrl;
+let app;
+const ADMIN_KEY = 'test-admin-key';
+
+test.before(async () => {
+  process.env.DISCORD_GATEWAY_URL = await gateway.start();
+  process.env.KEEP_ALIVE_INTERVAL_MS = '300';
+  process.env.TOKEN_VAULT_KEY = require('../lib/token-vault').TokenVault.generateKey();
+  process.env.ADMIN_KEY = ADMIN_KEY;
+  delete process.env.DATA_DIR;
+
+  app = require('../server');
+  const server = await app.start(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  await app.stop();
+  await gateway.stop();
+});
+
+async function request(method, path, { body, secret, headers: extraHeaders } = {}) {
+  const headers = { 'Content-Type': 'application/json', ...extraHeaders };
+  if (secret) {
+    headers.Authorization = `Bearer ${secret}`;
+  }
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function connect(token = 'test-token') {
+  const { status, body } = await request('POST', '/api/connect', { body: { token } });
+  assert.strictEqual(status, 200, JSON.stringify(body));
+  return body;
+}
+
+async function updateStatus(session, activity, extra = {}) {
+  return request('POST', '/api/update-status', {
+    secret: session.sessionSecret,
+    body: { sessionId: session.sessionId, activity, ...extra }
+  });
+}
+
+function getStatus(session) {
+  return request('GET', `/api/status/${session.sessionId}`, { secret: session.sessionSecret });
+}
+
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail('Timed out waiting for condition');
+}
+
+function activityNames(presence) {
+  return presence.activities.map(activity => activity.name);
+}
+
+function showing(name) {
+  return presence => activityNames(presence).includes(name);
+}
+
+// キープアライブの再送を除いた、サーバーが送ったプレゼンスの数
+async function presencesSent(session) {
+  const { body } = await request('GET', `/api/sessions/${session.sessionId}/events?limit=200`, {
+    secret: session.sessionSecret
+  });
+  return body.events.filter(event => event.type === 'presence').length;
+}
+
+test('/api/connect identifies with the token and waits for READY', async () => {
+  const opened = gateway.waitFor('connection');
+  const identified = gateway.waitFor('identify');
+  const session = await connect('connect-token');
+
+  const connection = await opened;
+  assert.strictEqual(connection.encoding, encoding);
+  assert.strictEqual(connection.compress, compress);
+  assert.strictEqual((await identified).token, 'connect-token');
+  assert.match(session.sessionId, /^[0-9a-f]{24}$/);
+  assert.ok(session.sessionSecret);
+
+  const { body } = await getStatus(session);
+  assert.strictEqual(body.state, 'connected');
+  assert.strictEqual(body.connected, true);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('/api/connect fails when the Gateway rejects the token', async () => {
+  gateway.rejectNextIdentify(4004);
+
+  const { status, body } = await request('POST', '/api/connect', { body: { token: 'bad-token' } });
+  assert.strictEqual(status, 500);
+  assert.strictEqual(body.error, 'Failed to connect to Discord');
+});
+
+test('/api/connect rejects tokens that are not strings', async () => {
+  for (const token of [123, ['token'], { token: 'x' }]) {
+    const { status, body } = await request('POST', '/api/connect', { body: { token } });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Token must be a string');
+  }
+});
+
+test('/api/connect keeps waiting when the Gateway closes with a resumable code before READY', async () => {
+  gateway.rejectNextIdentify(4000);
+
+  const session = await connect();
+  assert.strictEqual((await getStatus(session)).body.state, 'connected');
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('/api/connect stops reconnecting when the first connection fails', async () => {
+  gateway.refuseNextConnection();
+
+  const { status } = await request('POST', '/api/connect', { body: { token: 'unreachable-token' } });
+  assert.strictEqual(status, 500);
+
+  // 最初の再接続は1秒以内に行われるはず
+  await assert.rejects(gateway.waitFor('connection', () => true, 1500), /Timed out/);
+  assert.ok(!gateway.identifies.some(identify => identify.token === 'unreachable-token'));
+});
+
+test('/api/update-status sends the presence once and skips unchanged updates', async () => {
+  const session = await connect();
+
+  const sent = gateway.waitFor('presence', showing('Testing'));
+  const { status } = await updateStatus(session, { type: '0', name: 'Testing', details: 'mock gateway' }, { onlineStatus: 'dnd' });
+  assert.strictEqual(status, 200);
+
+  const presence = await sent;
+  assert.deepStrictEqual(activityNames(presence), ['Testing']);
+  assert.strictEqual(presence.status, 'dnd');
+  assert.strictEqual(presence.activities[0].details, 'mock gateway');
+
+  const count = await presencesSent(session);
+  await updateStatus(session, { type: '0', name: 'Testing', details: 'mock gateway' });
+  assert.strictEqual(await presencesSent(session), count);
+
+  const invalid = await updateStatus(session, { type: '0', name: 'x'.repeat(200) });
+  assert.strictEqual(invalid.status, 400);
+
+  const unauthorized = await request('POST', '/api/update-status', {
+    secret: 'wrong',
+    body: { sessionId: session.sessionId, activity: { type: '0', name: 'Nope' } }
+  });
+  assert.strictEqual(unauthorized.status, 401);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('/api/sessions requires the admin key', async () => {
+  const session = await connect();
+  const listSessions = secret => request('GET', '/api/sessions', { secret });
+
+  assert.strictEqual((await listSessions()).status, 401);
+  assert.strictEqual((await listSessions('wrong-admin-key')).status, 401);
+  assert.strictEqual((await listSessions(session.sessionSecret)).status, 401);
+
+  const allowed = await listSessions(ADMIN_KEY);
+  assert.strictEqual(allowed.status, 200);
+  assert.ok(allowed.body.sessions.some(listed => listed.sessionId === session.sessionId));
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('/api/sessions is disabled without ADMIN_KEY', async () => {
+  delete process.env.ADMIN_KEY;
+  delete require.cache[require.resolve('../server')];
+  const withoutAdmin = require('../server');
+  process.env.ADMIN_KEY = ADMIN_KEY;
+
+  const server = await withoutAdmin.start(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sessions`, {
+      headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+    });
+    assert.strictEqual(response.status, 403);
+  } finally {
+    await withoutAdmin.stop();
+  }
+});
+
+test('a session secret only works for its own session', async () => {
+  const owner = await connect();
+  const other = await connect();
+  const asOther = { secret: other.sessionSecret };
+
+  assert.strictEqual((await request('GET', `/api/status/${owner.sessionId}`, asOther)).status, 401);
+  assert.strictEqual((await request('GET', `/api/sessions/${owner.sessionId}/activities`, asOther)).status, 401);
+  assert.strictEqual((await request('POST', '/api/update-status', {
+    ...asOther,
+    body: { sessionId: owner.sessionId, activity: { type: '0', name: 'Hijacked' } }
+  })).status, 401);
+  assert.strictEqual((await request('POST', '/api/disconnect', { ...asOther, body: { sessionId: owner.sessionId } })).status, 401);
+
+  const { body } = await getStatus(owner);
+  assert.strictEqual(body.state, 'connected');
+  assert.ok(!JSON.stringify(body).includes('Hijacked'));
+
+  for (const session of [owner, other]) {
+    await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+  }
+});
+
+test('WebSocket register rejects a wrong session secret', async () => {
+  const owner = await connect();
+  const other = await connect();
+  const ws = new WebSocket(baseUrl.replace(/^http/, 'ws'));
+  const messages = [];
+  ws.on('message', message => messages.push(JSON.parse(message)));
+  const nextMessage = async (type) => {
+    await waitUntil(() => messages.some(message => message.type === type));
+    return messages.splice(messages.findIndex(message => message.type === type), 1)[0];
+  };
+
+  try {
+    await nextMessage('hello');
+
+    ws.send(JSON.stringify({ type: 'register', sessionId: owner.sessionId, sessionSecret: other.sessionSecret }));
+    await nextMessage('error');
+    ws.send(JSON.stringify({ type: 'register', sessionId: 'unknown-session', sessionSecret: owner.sessionSecret }));
+    await nextMessage('error');
+    assert.ok(!messages.some(message => message.type === 'status' || message.type === 'events'));
+
+    ws.send(JSON.stringify({ type: 'register', sessionId: owner.sessionId, sessionSecret: owner.sessionSecret }));
+    assert.strictEqual((await nextMessage('status')).state, 'connected');
+  } finally {
+    ws.close();
+    for (const session of [owner, other]) {
+      await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+    }
+  }
+});
+
+test('preset routes need a session or the admin key', async () => {
+  const owner = await connect();
+  const other = await connect();
+  const listPresets = (secret, sessionId) => request('GET', '/api/presets', {
+    secret,
+    headers: sessionId ? { 'X-Session-Id': sessionId } : {}
+  });
+
+  assert.strictEqual((await listPresets()).status, 401);
+  assert.strictEqual((await listPresets(owner.sessionSecret)).status, 401);
+  assert.strictEqual((await listPresets(other.sessionSecret, owner.sessionId)).status, 401);
+  assert.strictEqual((await listPresets('wrong-admin-key')).status, 401);
+  assert.strictEqual((await request('POST', '/api/presets', {
+    body: { name: 'Nope', activity: { type: '0', name: 'Nope' } }
+  })).status, 401);
+
+  assert.strictEqual((await listPresets(owner.sessionSecret, owner.sessionId)).status, 200);
+  assert.strictEqual((await listPresets(ADMIN_KEY)).status, 200);
+
+  for (const session of [owner, other]) {
+    await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+  }
+});
+
+test('rejects invalid activity types and a second Custom Status', async () => {
+  const session = await connect();
+  const addActivity = activity => request('POST', `/api/sessions/${session.sessionId}/activities`, {
+    secret: session.sessionSecret,
+    body: { activity }
+  });
+
+  const invalid = await updateStatus(session, { type: 'abc', name: 'Broken' });
+  assert.strictEqual(invalid.status, 400);
+  assert.match(invalid.body.details[0], /^type /);
+
+  assert.strictEqual((await addActivity({ type: '4', state: 'First' })).status, 200);
+  const second = await addActivity({ type: '4', state: 'Second' });
+  assert.strictEqual(second.status, 400);
+  assert.match(second.body.details[0], /Custom Status/);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('adds, edits, orders and removes activities', async () => {
+  const session = await connect();
+  const path = `/api/sessions/${session.sessionId}/activities`;
+  const auth = { secret: session.sessionSecret };
+
+  const sentFirst = gateway.waitFor('presence', showing('First'));
+  const first = await request('POST', path, { ...auth, body: { activity: { type: '0', name: 'First' } } });
+  assert.strictEqual(first.status, 200);
+  await sentFirst;
+
+  const sentBoth = gateway.waitFor('presence', presence => activityNames(presence).join() === 'First,Second');
+  const second = await request('POST', path, { ...auth, body: { activity: { type: '3', name: 'Second' } } });
+  assert.strictEqual(second.status, 200);
+  assert.deepStrictEqual(activityNames(await sentBoth), ['First', 'Second']);
+
+  // 同じidへの送信は位置を変えずに置き換える
+  const edited = await request('POST', `${path}/${first.body.activity.id}`, {
+    ...auth,
+    body: { activity: { type: '0', name: 'Edited' } }
+  });
+  assert.strictEqual(edited.status, 200);
+  assert.deepStrictEqual(edited.body.activities.map(activity => activity.name), ['Edited', 'Second']);
+  assert.strictEqual(edited.body.activities[0].id, first.body.activity.id);
+
+  const listed = await request('GET', path, auth);
+  assert.deepStrictEqual(listed.body.activities.map(activity => activity.name), ['Edited', 'Second']);
+
+  const sentRemoved = gateway.waitFor('presence', presence => activityNames(presence).join() === 'Second');
+  const removed = await request('DELETE', `${path}/${first.body.activity.id}`, auth);
+  assert.strictEqual(removed.status, 200);
+  assert.deepStrictEqual(removed.body.activities.map(activity => activity.name), ['Second']);
+  await sentRemoved;
+
+  assert.strictEqual((await request('DELETE', `${path}/${first.body.activity.id}`, auth)).status, 404);
+  assert.strictEqual((await request('DELETE', `${path}/unknown`, auth)).status, 404);
+  assert.strictEqual((await request('POST', `${path}/bad%20id`, { ...auth, body: { activity: { type: '0', name: 'x' } } })).status, 400);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('limits the number of activities', async () => {
+  const session = await connect();
+  const path = `/api/sessions/${session.sessionId}/activities`;
+  const auth = { secret: session.sessionSecret };
+
+  let last;
+  for (let index = 0; index < 10; index++) {
+    last = await request('POST', path, { ...auth, body: { activity: { type: '0', name: `Activity ${index}` } } });
+    assert.strictEqual(last.status, 200);
+  }
+
+  const over = await request('POST', path, { ...auth, body: { activity: { type: '0', name: 'One too many' } } });
+  assert.strictEqual(over.status, 400);
+  assert.match(over.body.details[0], /At most 10 activities/);
+
+  // 上限に達していても既存のものは編集できる
+  const edited = await request('POST', `${path}/${last.body.activity.id}`, {
+    ...auth,
+    body: { activity: { type: '0', name: 'Still editable' } }
+  });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.activities.length, 10);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('creates, edits, exports, imports and removes presets', async () => {
+  const session = await connect();
+  const presetRequest = (method, path, body) => request(method, `/api/presets${path}`, {
+    secret: session.sessionSecret,
+    headers: { 'X-Session-Id': session.sessionId },
+    body
+  });
+  const presetNames = presets => presets.map(preset => preset.name).sort();
+
+  const created = await presetRequest('POST', '', { name: 'Gaming', activity: { type: '0', name: 'A game' } });
+  assert.strictEqual(created.status, 200);
+  const { id } = created.body.preset;
+
+  const invalid = await presetRequest('POST', '', { name: 'Empty', activity: { type: '0' } });
+  assert.strictEqual(invalid.status, 400);
+
+  const edited = await presetRequest('POST', `/${id}`, { name: 'Gaming', activity: { type: '0', name: 'Another game' } });
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.preset.id, id);
+  assert.strictEqual((await presetRequest('POST', '/missing', { name: 'x', activity: { type: '0', name: 'x' } })).status, 404);
+
+  const exported = await presetRequest('GET', '/export');
+  assert.strictEqual(exported.status, 200);
+  const preset = exported.body.presets.find(saved => saved.id === id);
+  assert.strictEqual(preset.activity.name, 'Another game');
+
+  // replace なしなら既存のものに追加し、同じidは上書きする
+  const merged = await presetRequest('POST', '/import', {
+    presets: [{ ...preset, name: 'Gaming (imported)' }, { name: 'Reading', activity: { type: '3', name: 'A book' } }]
+  });
+  assert.strictEqual(merged.status, 200);
+  assert.ok(merged.body.presets.some(saved => saved.id === id && saved.name === 'Gaming (imported)'));
+  assert.ok(presetNames(merged.body.presets).includes('Reading'));
+
+  const rejected = await presetRequest('POST', '/import', { presets: [{ name: 'Broken', activity: { type: 'abc' } }] });
+  assert.strictEqual(rejected.status, 400);
+  assert.match(rejected.body.details[0], /^presets\[0\]: /);
+
+  const replaced = await presetRequest('POST', '/import', {
+    presets: [{ name: 'Only', activity: { type: '0', name: 'Only one' } }],
+    replace: true
+  });
+  assert.deepStrictEqual(presetNames(replaced.body.presets), ['Only']);
+  assert.deepStrictEqual(presetNames((await presetRequest('GET', '')).body.presets), ['Only']);
+
+  const [only] = replaced.body.presets;
+  const sent = gateway.waitFor('presence', showing('Only one'));
+  assert.strictEqual((await updateStatus(session, undefined, { presetId: only.id })).status, 200);
+  await sent;
+  assert.strictEqual((await updateStatus(session, undefined, { presetId: 'missing' })).status, 404);
+
+  assert.strictEqual((await presetRequest('DELETE', `/${only.id}`)).status, 200);
+  assert.strictEqual((await presetRequest('DELETE', `/${only.id}`)).status, 404);
+  assert.deepStrictEqual((await presetRequest('GET', '')).body.presets, []);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('rejects external images when no application id is configured', async () => {
+  const session = await connect();
+
+  const external = await updateStatus(session, { type: '0', name: 'Cover', imageUrl: 'https://example.com/cover.png' });
+  assert.strictEqual(external.status, 400);
+  assert.match(external.body.details[0], /DISCORD_APPLICATION_ID/);
+
+  // Discord CDNの画像は登録しなくても使える
+  const sent = gateway.waitFor('presence', showing('Cover'));
+  const cdn = await updateStatus(session, { type: '0', name: 'Cover', imageUrl: 'https://cdn.discordapp.com/attachments/1/2/a.png' });
+  assert.strictEqual(cdn.status, 200);
+  assert.strictEqual((await sent).activities[0].assets.large_image, 'mp:attachments/1/2/a.png');
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('only polls Last.fm APIs on allowed hosts', async () => {
+  const session = await connect();
+  const lastfm = (method, body) => request(method, `/api/sessions/${session.sessionId}/now-playing/lastfm`, {
+    secret: session.sessionSecret,
+    body
+  });
+
+  const internal = await lastfm('POST', { user: 'rick', apiKey: 'key', apiUrl: 'http://127.0.0.1:8080/2.0/' });
+  assert.strictEqual(internal.status, 400);
+  assert.match(internal.body.details[0], /ws\.audioscrobbler\.com/);
+  assert.strictEqual((await lastfm('DELETE')).status, 404);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('keeps counters separate from Object properties', async () => {
+  const session = await connect();
+  const bump = counterName => request('POST', `/api/sessions/${session.sessionId}/counters/${counterName}`, {
+    secret: session.sessionSecret,
+    body: {}
+  });
+
+  const constructor = await bump('constructor');
+  assert.strictEqual(constructor.status, 200);
+  assert.strictEqual(constructor.body.value, 1);
+  assert.strictEqual((await bump('__proto__')).status, 400);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('keep-alive resends the last presence unchanged', async () => {
+  const session = await connect();
+  await updateStatus(session, { type: '3', name: 'Keep-alive' });
+  const sent = JSON.stringify(gateway.lastPresence);
+
+  const resent = await gateway.waitFor('presence', undefined, 2000);
+  assert.strictEqual(JSON.stringify(resent), sent);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('resumes after a resumable close and keeps the presence', async () => {
+  const session = await connect();
+  await updateStatus(session, { type: '0', name: 'Before drop' });
+
+  const resumed = gateway.waitFor('resume');
+  gateway.drop(4000);
+  const resume = await resumed;
+
+  assert.ok(resume.session_id.startsWith('mock-session-'));
+  await waitUntil(async () => (await getStatus(session)).body.state === 'connected');
+
+  // RESUMEでは切断中に変わった分だけ送る
+  const sent = gateway.waitFor('presence', showing('After resume'));
+  await updateStatus(session, { type: '0', name: 'After resume' });
+  assert.deepStrictEqual(activityNames(await sent), ['After resume']);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('re-identifies after a session timeout, restores the presence and resumes on op 7', async () => {
+  const session = await connect();
+  await updateStatus(session, { type: '0', name: 'Restored' });
+
+  // 4009 ではRESUMEできないので、IDENTIFYし直して同じ内容のプレゼンスを送り直す
+  const resumes = gateway.resumes.length;
+  const identified = gateway.waitFor('identify');
+  const restored = gateway.waitFor('presence', showing('Restored'));
+  gateway.drop(4009);
+  await identified;
+  await restored;
+  assert.strictEqual(gateway.resumes.length, resumes);
+
+  const resumed = gateway.waitFor('resume');
+  gateway.requestReconnect();
+  await resumed;
+  await waitUntil(async () => (await getStatus(session)).body.state === 'connected');
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('keeps the sequence of dispatches skipped by the filter for heartbeats', async () => {
+  const session = await connect();
+
+  // デフォルトのフィルターではMESSAGE_CREATEはデコードしないが、シーケンス番号は使う
+  gateway.broadcast({ op: 0, s: 500, t: 'MESSAGE_CREATE', d: { content: 'ignored' } });
+  await gateway.waitFor('heartbeat', sequence => sequence === 500);
+
+  await request('POST', '/api/disconnect', { secret: session.sessionSecret, body: { sessionId: session.sessionId } });
+});
+
+test('gives up on fatal close codes', async () => {
+  const session = await connect();
+
+  gateway.drop(4004);
+  await waitUntil(async () => (await getStatus(session)).body.state === 'failed');
+
+  const { body } = await getStatus(session);
+  assert.strictEqual(body.connected, false);
+  assert.ok(body.failureReason);
+});
+
+test('/api/disconnect closes the Gateway connection and ends the session', async () => {
+  const session = await connect();
+
+  const closed = gateway.waitFor('close');
+  const { status } = await request('POST', '/api/disconnect', {
+    secret: session.sessionSecret,
+    body: { sessionId: session.sessionId }
+  });
+  assert.strictEqual(status, 200);
+  await closed;
+
+  assert.strictEqual((await getStatus(session)).status, 404);
+});
+
+test('refuses to start with an invalid TEMPLATE_TIME_ZONE', () => {
+  process.env.TEMPLATE_TIME_ZONE = 'Mars/Olympus_Mons';
+
+  try {
+    delete require.cache[require.resolve('../server')];
+    assert.throws(() => require('../server'), /TEMPLATE_TIME_ZONE/);
+  } finally {
+    delete process.env.TEMPLATE_TIME_ZONE;
+  }
+});
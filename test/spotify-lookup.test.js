@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fetch = require('node-fetch');
+const { SpotifyLookup, SpotifyLookupError } = require('../lib/spotify-lookup');
+
+const ID = '4uLU6hMCjMI75M1A2tKUQC';
+const IMAGE_ID = 'ab67616d0000b273e8b066f70c206551210d902b';
+
+// open.spotify.com/oembed の代わりになるスタブサーバー
+function startStub(handler) {
+  return new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      handler(req, res);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        requests,
+        url: `http://127.0.0.1:${server.address().port}/oembed`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function oembed(res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({
+    title: 'Never Gonna Give You Up - Rick Astley',
+    thumbnail_url: `https://i.scdn.co/image/${IMAGE_ID}`
+  }));
+}
+
+test('fetches track info and serves repeats from the cache', async () => {
+  const stub = await startStub((req, res) => oembed(res));
+  const lookup = new SpotifyLookup({ fetch, oembedUrl: stub.url });
+
+  try {
+    const first = await lookup.lookup(`https://open.spotify.com/track/${ID}?si=abc`);
+    assert.strictEqual(first.cached, false);
+    assert.deepStrictEqual(first.info, {
+      songName: 'Never Gonna Give You Up',
+      artistName: 'Rick Astley',
+      thumbnailUrl: `https://i.scdn.co/image/${IMAGE_ID}`,
+      spotifyImageId: IMAGE_ID,
+      kind: 'track',
+      id: ID,
+      trackId: ID
+    });
+
+    // 別の書き方でも同じ曲ならキャッシュを使う
+    const second = await lookup.lookup(`spotify:track:${ID}`);
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(stub.requests.length, 1);
+    assert.ok(stub.requests[0].includes(encodeURIComponent(`https://open.spotify.com/track/${ID}`)));
+  } finally {
+    await stub.close();
+  }
+});
+
+test('de-duplicates concurrent lookups for the same id', async () => {
+  const stub = await startStub((req, res) => setTimeout(() => oembed(res), 50));
+  const lookup = new SpotifyLookup({ fetch, oembedUrl: stub.url });
+
+  try {
+    const results = await Promise.all([
+      lookup.lookup(`https://open.spotify.com/track/${ID}`),
+      lookup.lookup(`https://open.spotify.com/intl-ja/track/${ID}`),
+      lookup.lookup(`spotify:track:${ID}`)
+    ]);
+    assert.strictEqual(stub.requests.length, 1);
+    assert.ok(results.every(result => result.info.id === ID));
+  } finally {
+    await stub.close();
+  }
+});
+
+test('reports not found, invalid URLs and timeouts as lookup errors', async () => {
+  const stub = await startStub((req, res) => {
+    if (req.url.includes('slow')) {
+      setTimeout(() => oembed(res), 500);
+    } else {
+      res.statusCode = 404;
+      res.end('{}');
+    }
+  });
+  const lookup = new SpotifyLookup({ fetch, oembedUrl: stub.url, timeoutMs: 100 });
+
+  try {
+    await assert.rejects(lookup.lookup(`https://open.spotify.com/album/${ID}`), { status: 404 });
+    await assert.rejects(lookup.lookup('https://example.com/track/x'), { status: 400 });
+
+    const slow = new SpotifyLookup({ fetch, oembedUrl: `${stub.url}/slow`, timeoutMs: 100 });
+    await assert.rejects(slow.lookup(`https://open.spotify.com/track/${ID}`), (error) => {
+      assert.ok(error instanceof SpotifyLookupError);
+      assert.strictEqual(error.status, 504);
+      return true;
+    });
+  } finally {
+    await stub.close();
+  }
+});
+
+test('rate limits outbound requests', async () => {
+  const stub = await startStub((req, res) => oembed(res));
+  const lookup = new SpotifyLookup({ fetch, oembedUrl: stub.url, rateLimit: { limit: 2, intervalMs: 200 } });
+
+  try {
+    const started = Date.now();
+    await Promise.all(['album', 'playlist', 'show'].map(kind => lookup.lookup(`https://open.spotify.com/${kind}/${ID}`)));
+    assert.strictEqual(stub.requests.length, 3);
+    assert.ok(Date.now() - started >= 150, 'third request should wait for the next window');
+  } finally {
+    await stub.close();
+  }
+});
+
+test('reports upstream throttling and failures separately from not found', async () => {
+  const stub = await startStub((req, res) => {
+    res.statusCode = req.url.includes('album') ? 429 : 503;
+    res.end('{}');
+  });
+  const lookup = new SpotifyLookup({ fetch, oembedUrl: stub.url });
+
+  try {
+    await assert.rejects(lookup.lookup(`https://open.spotify.com/album/${ID}`), { status: 429 });
+    await assert.rejects(lookup.lookup(`https://open.spotify.com/track/${ID}`), { status: 502 });
+  } finally {
+    await stub.close();
+  }
+});
+
+test('rejects lookups when the queue is full and counts queue time toward the timeout', async () => {
+  const stub = await startStub((req, res) => oembed(res));
+  const lookup = new SpotifyLookup({
+    fetch,
+    oembedUrl: stub.url,
+    timeoutMs: 100,
+    rateLimit: { limit: 1, intervalMs: 1000, maxQueue: 1 }
+  });
+
+  try {
+    const results = await Promise.allSettled(['album', 'playlist', 'show'].map(kind => lookup.lookup(`https://open.spotify.com/${kind}/${ID}`)));
+    assert.strictEqual(results[0].status, 'fulfilled');
+    // 2件目は順番待ちのままタイムアウトし、3件目は待ちがいっぱいで断られる
+    assert.strictEqual(results[1].reason.status, 504);
+    assert.strictEqual(results[2].reason.status, 429);
+    assert.strictEqual(stub.requests.length, 1);
+  } finally {
+    await stub.close();
+  }
+});
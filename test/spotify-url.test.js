@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSpotifyUrl, resolveSpotifyUrl, toOpenUrl } = require('../lib/spotify-url');
+const { extractSpotifyImageId } = require('../lib/activity');
+
+const ID = '4uLU6hMCjMI75M1A2tKUQC';
+const IMAGE_ID = 'ab67616d0000b273e8b066f70c206551210d902b';
+
+test('parses open.spotify.com URLs of every kind', () => {
+  for (const kind of ['track', 'album', 'playlist', 'artist', 'episode', 'show']) {
+    assert.deepStrictEqual(parseSpotifyUrl(`https://open.spotify.com/${kind}/${ID}`), { kind, id: ID });
+  }
+});
+
+test('ignores query strings and trailing slashes', () => {
+  assert.deepStrictEqual(
+    parseSpotifyUrl(`https://open.spotify.com/track/${ID}?si=abc123&utm_source=copy-link`),
+    { kind: 'track', id: ID }
+  );
+  assert.deepStrictEqual(parseSpotifyUrl(`https://open.spotify.com/album/${ID}/`), { kind: 'album', id: ID });
+});
+
+test('skips intl-xx, embed and legacy user path prefixes', () => {
+  assert.deepStrictEqual(parseSpotifyUrl(`https://open.spotify.com/intl-ja/track/${ID}`), { kind: 'track', id: ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`https://open.spotify.com/intl-pt/episode/${ID}?si=x`), { kind: 'episode', id: ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`https://open.spotify.com/embed/show/${ID}`), { kind: 'show', id: ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`https://open.spotify.com/user/someone/playlist/${ID}`), { kind: 'playlist', id: ID });
+});
+
+test('accepts URLs without a scheme', () => {
+  assert.deepStrictEqual(parseSpotifyUrl(`open.spotify.com/artist/${ID}`), { kind: 'artist', id: ID });
+});
+
+test('parses spotify: URIs', () => {
+  assert.deepStrictEqual(parseSpotifyUrl(`spotify:track:${ID}`), { kind: 'track', id: ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`spotify:show:${ID}`), { kind: 'show', id: ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`spotify:user:someone:playlist:${ID}`), { kind: 'playlist', id: ID });
+});
+
+test('parses image URLs and spotify:<image id>', () => {
+  assert.deepStrictEqual(parseSpotifyUrl(`https://i.scdn.co/image/${IMAGE_ID}`), { kind: 'image', id: IMAGE_ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`https://image-cdn-ak.spotifycdn.com/image/${IMAGE_ID}`), { kind: 'image', id: IMAGE_ID });
+  assert.deepStrictEqual(parseSpotifyUrl(`spotify:${IMAGE_ID}`), { kind: 'image', id: IMAGE_ID });
+});
+
+test('recognises spotify.link short links', () => {
+  assert.deepStrictEqual(parseSpotifyUrl('https://spotify.link/AbCdEf123'), { kind: 'short', id: 'AbCdEf123' });
+});
+
+test('rejects unrelated or malformed input', () => {
+  assert.strictEqual(parseSpotifyUrl(''), null);
+  assert.strictEqual(parseSpotifyUrl(null), null);
+  assert.strictEqual(parseSpotifyUrl('https://example.com/track/abc'), null);
+  assert.strictEqual(parseSpotifyUrl('https://open.spotify.com/genre/pop'), null);
+  assert.strictEqual(parseSpotifyUrl('spotify:track:'), null);
+  assert.strictEqual(parseSpotifyUrl('not a url'), null);
+});
+
+test('extractSpotifyImageId only returns image ids', () => {
+  assert.strictEqual(extractSpotifyImageId(`https://i.scdn.co/image/${IMAGE_ID}`), IMAGE_ID);
+  assert.strictEqual(extractSpotifyImageId(`spotify:${IMAGE_ID}`), IMAGE_ID);
+  assert.strictEqual(extractSpotifyImageId(`https://open.spotify.com/track/${ID}`), null);
+  assert.strictEqual(extractSpotifyImageId(undefined), null);
+});
+
+test('toOpenUrl builds the canonical URL', () => {
+  assert.strictEqual(toOpenUrl({ kind: 'episode', id: ID }), `https://open.spotify.com/episode/${ID}`);
+});
+
+test('resolveSpotifyUrl follows short link redirects', async () => {
+  const fetch = async () => ({
+    url: `https://open.spotify.com/track/${ID}?si=xyz`,
+    text: async () => ''
+  });
+
+  assert.deepStrictEqual(await resolveSpotifyUrl('https://spotify.link/AbCdEf123', fetch), { kind: 'track', id: ID });
+});
+
+test('resolveSpotifyUrl falls back to a link inside the landing page', async () => {
+  const fetch = async () => ({
+    url: 'https://spotify.app.link/AbCdEf123?_p=abc',
+    text: async () => `<a href="https://open.spotify.com/playlist/${ID}?si=1&amp;x=2">open</a>`
+  });
+
+  assert.deepStrictEqual(await resolveSpotifyUrl('https://spotify.link/AbCdEf123', fetch), { kind: 'playlist', id: ID });
+});
+
+test('resolveSpotifyUrl does not fetch for regular URLs', async () => {
+  const fetch = async () => {
+    throw new Error('should not be called');
+  };
+
+  assert.deepStrictEqual(await resolveSpotifyUrl(`spotify:album:${ID}`, fetch), { kind: 'album', id: ID });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SIGNATURE_TOLERANCE_SECONDS,
+  WebhookRegistry,
+  renderTemplate,
+  signPayload,
+  validateWebhook,
+  verifySignature
+} = require('../lib/webhooks');
+
+test('renders payload values into the activity template', () => {
+  const template = {
+    type: '0',
+    name: '🚀 {{status}}',
+    details: '{{ pipeline.name }} #{{pipeline.number}}',
+    state: '{{missing}}',
+    buttons: [{ label: 'Open', url: '{{pipeline.url}}' }]
+  };
+  const payload = {
+    status: 'deploying',
+    pipeline: { name: 'web', number: 42, url: 'https://ci.example.com/42' }
+  };
+
+  assert.deepStrictEqual(renderTemplate(template, payload), {
+    type: '0',
+    name: '🚀 deploying',
+    details: 'web #42',
+    state: '',
+    buttons: [{ label: 'Open', url: 'https://ci.example.com/42' }]
+  });
+});
+
+test('does not expand objects into the template', () => {
+  assert.strictEqual(renderTemplate('{{pipeline}}', { pipeline: { name: 'web' } }), '');
+});
+
+test('verifies HMAC signatures of the timestamp and raw body', () => {
+  const body = Buffer.from('{"status":"deploying"}');
+  const now = 1700000000 * 1000;
+  const timestamp = '1700000000';
+  const signature = signPayload('secret', timestamp, body);
+
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.strictEqual(verifySignature('secret', timestamp, body, signature, now), true);
+  assert.strictEqual(verifySignature('other', timestamp, body, signature, now), false);
+  assert.strictEqual(verifySignature('secret', timestamp, Buffer.from('{}'), signature, now), false);
+  assert.strictEqual(verifySignature('secret', timestamp, body, undefined, now), false);
+  assert.strictEqual(verifySignature('secret', timestamp, undefined, signature, now), false);
+  // タイムスタンプを書き換えると署名が合わない
+  assert.strictEqual(verifySignature('secret', '1700000001', body, signature, now), false);
+  assert.strictEqual(verifySignature('secret', undefined, body, signature, now), false);
+});
+
+test('rejects signatures outside the timestamp window', () => {
+  const body = Buffer.from('{"status":"deploying"}');
+  const timestamp = '1700000000';
+  const signature = signPayload('secret', timestamp, body);
+  const at = seconds => (1700000000 + seconds) * 1000;
+
+  assert.strictEqual(verifySignature('secret', timestamp, body, signature, at(SIGNATURE_TOLERANCE_SECONDS)), true);
+  assert.strictEqual(verifySignature('secret', timestamp, body, signature, at(SIGNATURE_TOLERANCE_SECONDS + 1)), false);
+  assert.strictEqual(verifySignature('secret', timestamp, body, signature, at(-SIGNATURE_TOLERANCE_SECONDS - 1)), false);
+});
+
+test('validates webhook settings', () => {
+  assert.deepStrictEqual(validateWebhook({ name: 'CI', template: { name: '{{status}}' }, ttlSeconds: 600 }), []);
+  assert.strictEqual(validateWebhook({ name: '', template: {} }).length, 1);
+  assert.strictEqual(validateWebhook({ name: 'CI', template: [] }).length, 1);
+  assert.strictEqual(validateWebhook({ name: 'CI', template: {}, ttlSeconds: 0 }).length, 1);
+});
+
+test('keeps secrets out of the public listing', () => {
+  const registry = new WebhookRegistry();
+  const saved = registry.set({ name: 'CI', template: {}, sealedSecret: 'sealed' });
+  registry.set({ name: 'CI (renamed)', template: {} }, saved.id);
+
+  assert.strictEqual(registry.get(saved.id).sealedSecret, 'sealed');
+  assert.strictEqual(registry.list()[0].name, 'CI (renamed)');
+  assert.strictEqual('sealedSecret' in registry.list()[0], false);
+});
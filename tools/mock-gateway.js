@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+const http = require('http');
+const WebSocket = require('ws');
+const { CODECS, ZlibStreamDeflater } = require('../lib/gateway-transport');
+
+// テスト・開発用のDiscord Gatewayのモック
+// op 10/11/1/2/3/6/7/9 と READY/RESUMED に対応し、受け取ったプレゼンス (op 3) を記録する
+// 接続URLの encoding=etf / compress=zlib-stream にも対応する
+// DISCORD_GATEWAY_URL=ws://127.0.0.1:<port> を指定するとサーバーをこちらに向けられる
+//
+//   const gateway = new MockGateway({ heartbeatInterval: 100 });
+//   await gateway.start();
+//   gateway.drop(4000);                     // 今の接続を指定したコードで閉じる (省略すると異常切断)
+//   gateway.requestReconnect();             // op 7
+//   gateway.invalidateSession(false);       // op 9
+//   gateway.rejectNextIdentify(4004);       // 次のIDENTIFYを指定したコードで拒否する
+//   gateway.refuseNextConnection();         // 次の接続をハンドシェイクで拒否する (繋がらない状態)
+//   await gateway.waitFor('presence', p => p.status === 'dnd');  // 条件に合うイベントを待つ
+//
+// イベント: connection ({ url, encoding, compress }), identify, resume, heartbeat, presence, close
+
+class MockGateway extends EventEmitter {
+  constructor({ heartbeatInterval = 45000 } = {}) {
+    super();
+    this.heartbeatInterval = heartbeatInterval;
+    this.server = null;
+    this.wss = null;
+    this.url = null;
+    this.connections = new Set();
+    this.sessions = new Map();
+    this.nextSession = 1;
+    this.identifyCloseCodes = [];
+    this.refusedConnections = 0;
+    // 受け取ったペイロード
+    this.identifies = [];
+    this.resumes = [];
+    this.presences = [];
+    this.heartbeats = 0;
+  }
+
+  start(port = 0) {
+    this.server = http.createServer();
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      verifyClient: () => {
+        if (this.refusedConnections === 0) return true;
+        this.refusedConnections--;
+        return false;
+      }
+    });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    return new Promise((resolve) => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `ws://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  stop() {
+    for (const { socket } of this.connections) {
+      socket.terminate();
+    }
+    return new Promise(resolve => this.wss.close(() => this.server.close(() => resolve())));
+  }
+
+  handleConnection(socket, req) {
+    const params = new URL(req.url, 'ws://localhost').searchParams;
+    const encoding = params.get('encoding') || 'json';
+    const compress = params.get('compress');
+    const connection = {
+      socket,
+      url: req.url,
+      codec: CODECS[encoding],
+      // 圧縮する場合は送信順を保つために1つのdeflateコンテキストを通す
+      deflater: compress === 'zlib-stream' ? new ZlibStreamDeflater() : null,
+      session: null,
+      sequence: 0
+    };
+    this.connections.add(connection);
+
+    socket.on('message', data => this.handlePayload(connection, connection.codec.decode(data)));
+    socket.on('close', (code) => {
+      this.connections.delete(connection);
+      if (connection.deflater) {
+        connection.deflater.close();
+      }
+      this.emit('close', { code, url: req.url });
+    });
+
+    this.send(connection, { op: 10, d: { heartbeat_interval: this.heartbeatInterval } });
+    this.emit('connection', { url: req.url, encoding, compress });
+  }
+
+  handlePayload(connection, { op, d }) {
+    switch (op) {
+      case 1:
+        this.heartbeats++;
+        this.send(connection, { op: 11 });
+        this.emit('heartbeat', d);
+        break;
+
+      case 2: {
+        this.identifies.push(d);
+        this.emit('identify', d);
+
+        const closeCode = this.identifyCloseCodes.shift();
+        if (closeCode) {
+          connection.socket.close(closeCode);
+          break;
+        }
+
+        connection.session = `mock-session-${this.nextSession++}`;
+        this.sessions.set(connection.session, { sequence: 0 });
+        this.dispatch(connection, 'READY', {
+          v: 9,
+          user: { id: '1', username: 'mock' },
+          session_id: connection.session,
+          resume_gateway_url: this.url
+        });
+        break;
+      }
+
+      case 3:
+        this.presences.push(d);
+        this.emit('presence', d);
+        break;
+
+      case 6:
+        this.resumes.push(d);
+        this.emit('resume', d);
+
+        if (!this.sessions.has(d.session_id)) {
+          this.send(connection, { op: 9, d: false });
+          break;
+        }
+        connection.session = d.session_id;
+        connection.sequence = this.sessions.get(d.session_id).sequence;
+        this.dispatch(connection, 'RESUMED', {});
+        break;
+    }
+  }
+
+  send(connection, payload) {
+    const data = connection.codec.encode(payload);
+
+    if (!connection.deflater) {
+      this.write(connection.socket, data);
+      return;
+    }
+    connection.deflater.push(data)
+      .then(compressed => this.write(connection.socket, compressed))
+      .catch(() => {}); // 切断後に送ろうとした分は捨てる
+  }
+
+  write(socket, data) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(data);
+    }
+  }
+
+  dispatch(connection, type, data) {
+    connection.sequence++;
+    if (connection.session) {
+      this.sessions.get(connection.session).sequence = connection.sequence;
+    }
+    this.send(connection, { op: 0, s: connection.sequence, t: type, d: data });
+  }
+
+  // closeCode を省略した場合はTCPごと切る (クライアント側では1006になる)
+  drop(closeCode) {
+    for (const { socket } of this.connections) {
+      if (closeCode) {
+        socket.close(closeCode);
+      } else {
+        socket.terminate();
+      }
+    }
+  }
+
+  requestReconnect() {
+    this.broadcast({ op: 7, d: null });
+  }
+
+  invalidateSession(resumable) {
+    this.broadcast({ op: 9, d: resumable });
+  }
+
+  broadcast(payload) {
+    for (const connection of this.connections) {
+      this.send(connection, payload);
+    }
+  }
+
+  refuseNextConnection() {
+    this.refusedConnections++;
+  }
+
+  rejectNextIdentify(closeCode) {
+    this.identifyCloseCodes.push(closeCode);
+  }
+
+  get lastPresence() {
+    return this.presences[this.presences.length - 1] || null;
+  }
+
+  // predicate を指定すると、それに一致するまで待つ
+  waitFor(event, predicate = () => true, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.off(event, onEvent);
+        reject(new Error(`Timed out waiting for ${event}`));
+      }, timeoutMs);
+
+      const onEvent = (data) => {
+        if (!predicate(data)) return;
+        clearTimeout(timer);
+        this.off(event, onEvent);
+        resolve(data);
+      };
+      this.on(event, onEvent);
+    });
+  }
+}
+
+module.exports = { MockGateway };
+
+// node tools/mock-gateway.js [port] で単体起動できる
+if (require.main === module) {
+  const gateway = new MockGateway();
+  gateway.on('identify', () => console.log('IDENTIFY received'));
+  gateway.on('resume', () => console.log('RESUME received'));
+  gateway.on('presence', presence => console.log('Presence:', JSON.stringify(presence)));
+  gateway.on('close', ({ code }) => console.log(`Connection closed (Code: ${code})`));
+  gateway.start(parseInt(process.argv[2]) || 4001).then((url) => {
+    console.log(`Mock Gateway is running on ${url}`);
+  });
+}